@@ -1,56 +1,194 @@
 import arrayRemove from 'unordered-array-remove'
 import { gateway4sync as v4 } from 'default-gateway'
 import Debug from 'debug'
+import { EventEmitter } from 'events'
 import NatUPNP from './lib/upnp/index.js'
 import NatPMP from './lib/pmp/index.js'
+import NatPCP from './lib/pcp/index.js'
+import Scheduler from './lib/scheduler.js'
+import FileStore from './lib/store.js'
+import { portRange } from './lib/ports.js'
+import { ReflectorClient, ReflectorServer } from './lib/reflector.js'
+import { StunClient } from './lib/stun.js'
+import { classifyAddress, globalIPv6, localAddress } from './lib/network.js'
+import {
+  NatError,
+  NatTimeoutError,
+  GatewayNotFoundError,
+  MappingConflictError,
+  NotAuthorizedError,
+  PermanentLeaseOnlyError,
+  OutOfResourcesError,
+  SamePortRequiredError,
+  MappingFailedError
+} from './lib/errors.js'
 
 const debug = Debug('nat-api')
 
-export default class NatAPI {
+const STRATEGIES = ['sequential', 'race', 'prefer-learned']
+const CONFLICT_POLICIES = ['fail', 'next-free', 'random', 'replace-own']
+
+export {
+  FileStore,
+  portRange,
+  ReflectorClient,
+  ReflectorServer,
+  StunClient,
+  NatError,
+  NatTimeoutError,
+  GatewayNotFoundError,
+  MappingConflictError,
+  NotAuthorizedError,
+  PermanentLeaseOnlyError,
+  OutOfResourcesError,
+  SamePortRequiredError,
+  MappingFailedError
+}
+
+export default class NatAPI extends EventEmitter {
   /**
   * opts:
   *  - ttl
   *  - description
-  *  - gateway
+  *  - gateway: NAT-PMP/PCP server, and the UPnP gateway to use when several
+  *    answer (default = the default gateway)
   *  - autoUpdate
   *  - enablePMP (default = false)
+  *  - enablePCP (default = false)
   *  - enableUPNP (default = false)
   *  - upnpPermanentFallback (default = false)
+  *  - upnpLocation: URL of the gateway's UPnP description, skips SSDP
+  *    discovery (default = null)
+  *  - upnpListen: follow the gateways' SSDP announcements to re-map after
+  *    a reboot (default = false)
+  *  - strategy: 'sequential' tries PCP, NAT-PMP then UPnP, 'race' runs
+  *    NAT-PMP/PCP and UPnP at once, 'prefer-learned' starts with the
+  *    protocol that last worked on the gateway (default = 'sequential')
+  *  - rejectOnFailure: map() rejects with a MappingFailedError instead of
+  *    resolving to false (default = false)
+  *  - onConflict: when the public port is taken, 'fail', try the
+  *    'next-free' or a 'random' port, or 'replace-own' to remove this
+  *    host's old mapping of it (default = 'fail')
+  *  - conflictRange: [min, max] of the alternative public ports
+  *    (default = [1024, 65535])
+  *  - conflictAttempts: alternative ports tried (default = 10)
+  *  - reflector: reflector checking that mapped ports are reachable,
+  *    'host:port' of a ReflectorServer or an object with check(opts)
+  *    (default = null)
+  *  - verify: check each new mapping with the reflector (default = false)
+  *  - stun: STUN server for externalIp() when no gateway answers, and for
+  *    natType(), 'host:port', { host, port } or a StunClient
+  *    (default = null)
+  *  - pmpAttempts (default = 3)
+  *  - store: journal of the open mappings, a file path or an object with
+  *    load() and save(mappings) (default = null)
+  *  - strict: what map() does when the external IP is private (double NAT)
+  *    or CGNAT: false to ignore it, 'warn' to emit unreachable, true to
+  *    remove the mapping and throw (default = false)
+  *
+  * events: mapped, refreshed, refresh-failed, unmapped, expired,
+  * external-ip-changed, unreachable and error, each with the mapping
+  * descriptor, gateway-reset when the gateway restarted and mappings are
+  * re-created, and gateway-lost when a UPnP gateway left the network
   **/
   constructor (opts = {}) {
+    super()
+
     // TTL is 2 hours (min 20 min)
     this.ttl = (opts.ttl) ? Math.max(opts.ttl, 1200) : 7200
     this.description = opts.description || 'NatAPI'
     this.gateway = opts.gateway || null
     this.autoUpdate = opts.autoUpdate !== false
     this.upnpPermanentFallback = opts.upnpPermanentFallback || false
+    // NAT-PMP/PCP transmissions before giving up. RFC 6886 uses 9 (over two
+    // minutes), too long to wait before falling back to UPnP
+    this.pmpAttempts = opts.pmpAttempts || 3
+    this.strict = opts.strict || false
+    this.strategy = opts.strategy || 'sequential'
+    this.rejectOnFailure = opts.rejectOnFailure === true
+    this.onConflict = opts.onConflict || 'fail'
+    if (!CONFLICT_POLICIES.includes(this.onConflict)) throw new Error('onConflict is invalid')
+    this.conflictRange = opts.conflictRange || [1024, 65535]
+    this.conflictAttempts = opts.conflictAttempts || 10
+    this.verify = opts.verify === true
+
+    // Connects back to mapped ports from outside the NAT
+    this._reflector = opts.reflector && typeof opts.reflector.check === 'function'
+      ? opts.reflector
+      : (opts.reflector ? new ReflectorClient(opts.reflector) : null)
+    if (this.verify && !this._reflector) throw new Error('verify requires a reflector')
+    if (!STRATEGIES.includes(this.strategy)) throw new Error('strategy is invalid')
+
+    // Learns the external address from outside, whatever the gateway speaks
+    this._stunClient = opts.stun && typeof opts.stun.natType === 'function'
+      ? opts.stun
+      : (opts.stun ? new StunClient(opts.stun) : null)
 
-    // Refresh the mapping 10 minutes before the end of its lifetime
-    this._timeout = (this.ttl - 600) * 1000
     this._destroyed = false
     this._openPorts = []
-    this._upnpIntervals = {}
-    this._pmpIntervals = {}
+    this._pinholes = []
+    this._remapping = null
+
+    // Journal of the open mappings, to restore them after a restart
+    this._store = typeof opts.store === 'string' ? new FileStore(opts.store) : (opts.store || null)
+    this._saving = Promise.resolve()
+    // Journal entries restore() could not handle, kept for a later attempt.
+    // null until the journal was read, by restore() or the first save
+    this._unrestored = null
+    // Protocol that last mapped a port, by gateway
+    this._learned = new Map()
+    // UPnP gateways that only map a public port to the same private port
+    this._samePortOnly = new Set()
+    // Renews each mapping at half of its granted lifetime
+    this._scheduler = new Scheduler()
     this._pmpClient = null
+    this._pcpClient = null
     this._upnpClient = null
+    // NAT-PMP and PCP clients of the other gateways, by gateway address
+    this._pmpClients = new Map()
+    this._pcpClients = new Map()
 
     // Setup NAT-PMP Client
     this.enablePMP = opts.enablePMP !== false
-    if (this.enablePMP && typeof v4 === 'function') {
+    if (this.enablePMP && (this.gateway || typeof v4 === 'function')) {
       try {
-        // Lookup gateway IP
-        const results = v4()
-        this._pmpClient = new NatPMP(results.gateway)
+        // Lookup gateway IP, unless it was given
+        const gateway = this.gateway || v4().gateway
+        this._pmpClient = this._watchClient(new NatPMP(gateway, { maxAttempts: this.pmpAttempts }))
       } catch (err) {
         debug('Could not find gateway IP for NAT-PMP', err)
         this._pmpClient = null
       }
     }
 
+    // Setup PCP Client, it talks to the same server port as NAT-PMP
+    this.enablePCP = opts.enablePCP === true
+    if (this.enablePCP && (this.gateway || typeof v4 === 'function')) {
+      try {
+        // Lookup gateway IP, unless it was given
+        const gateway = this.gateway || v4().gateway
+        this._pcpClient = this._watchClient(new NatPCP(gateway, { maxAttempts: this.pmpAttempts }))
+      } catch (err) {
+        debug('Could not find gateway IP for PCP', err)
+        this._pcpClient = null
+      }
+    }
+
     this.enableUPNP = opts.enableUPNP !== false
+    this.upnpLocation = opts.upnpLocation || null
     if (this.enableUPNP) {
       // Setup UPnP Client
-      this._upnpClient = new NatUPNP({ permanentFallback: this.upnpPermanentFallback })
+      this._upnpClient = new NatUPNP({
+        permanentFallback: this.upnpPermanentFallback,
+        location: this.upnpLocation
+      })
+
+      this.upnpListen = opts.upnpListen === true
+      if (this.upnpListen) {
+        this._upnpClient.on('reset', (info) => this._onUpnpReset(info))
+        this._upnpClient.on('lost', (info) => this._onUpnpLost(info))
+        this._upnpClient.listen()
+      }
     }
   }
 
@@ -62,6 +200,14 @@ export default class NatAPI {
   *  - description
   *  - ttl
   *  - gateway
+  *  - onConflict, conflictRange, conflictAttempts: see the constructor
+  *  - verify: check the mapping with the reflector, see the constructor
+  *
+  * Resolves to the mapping descriptor, an array of the UDP and TCP
+  * descriptors when no protocol is given, or false on failure (a
+  * MappingFailedError with `rejectOnFailure`). Without a protocol, the UDP
+  * mapping is removed again when TCP fails. Rejects when `strict` is
+  * true and the mapping cannot be reached from the Internet.
   **/
   async map (publicPort, privatePort) {
     if (this._destroyed) throw new Error('client is destroyed')
@@ -69,43 +215,60 @@ export default class NatAPI {
     // Validate input
     const { opts } = this._validateInput(publicPort, privatePort)
 
-    if (opts.protocol) {
-      // UDP or TCP
-      const newOpts = { ...opts }
-      this._openPorts.push(newOpts)
-      const response = await this._map(opts)
-      if (!response[0]) {
-        arrayRemove(this._openPorts, this._openPorts.indexOf(newOpts))
-        return false
-      }
-    } else {
-      // UDP & TCP
-
-      // Map UDP
-      const newOptsUDP = { ...opts }
-      newOptsUDP.protocol = 'UDP'
-      this._openPorts.push(newOptsUDP)
-      let response = await this._map(newOptsUDP)
-      if (!response[0]) {
-        arrayRemove(this._openPorts, this._openPorts.indexOf(newOptsUDP))
-        return false
+    try {
+      return await this._mapPorts(opts)
+    } catch (err) {
+      if (this.rejectOnFailure || !(err instanceof MappingFailedError)) throw err
+      debug(err.message)
+      return false
+    }
+  }
+
+  /**
+  * Maps many ports, e.g. from portRange(), discovering the gateway once.
+  * Each entry takes what map() takes. Resolves to one result per entry:
+  * { options, mapping, error }, mapping being what map() resolved to.
+  *
+  * opts:
+  *  - rollback: remove every mapping when one of them failed
+  *    (default = false)
+  *  - concurrency: mappings requested at once (default = 4)
+  **/
+  async mapMany (list, opts = {}) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (!Array.isArray(list)) throw new Error('mappings must be an array')
+
+    const concurrency = opts.concurrency || 4
+    const results = list.map((options) => ({ options, mapping: false, error: null, rolledBack: false }))
+
+    let next = 0
+    const worker = async () => {
+      while (next < results.length) {
+        const result = results[next++]
+        try {
+          result.mapping = await this._mapPorts(this._validateInput(result.options).opts)
+        } catch (err) {
+          result.error = err
+        }
       }
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, results.length) }, worker))
 
-      // Map TCP
-      const newOptsTCP = { ...opts }
-      newOptsTCP.protocol = 'TCP'
-      this._openPorts.push(newOptsTCP)
-      response = await this._map(newOptsTCP)
-      if (!response[0]) {
-        arrayRemove(this._openPorts, this._openPorts.findIndex((o) => {
-          return (o.publicPort === newOptsTCP.publicPort) &&
-            (o.privatePort === newOptsTCP.privatePort) &&
-            (o.protocol === newOptsTCP.protocol || newOptsTCP.protocol == null)
-        }))
-        return false
+    if (opts.rollback && results.some((result) => result.error)) {
+      debug('Rolling back %d mappings', results.filter((result) => result.mapping).length)
+      for (const result of results) {
+        if (!result.mapping) continue
+        try {
+          await this.unmap(result.mapping)
+        } catch (err) {
+          debug('failed to roll back mapping: %s', err.message)
+        }
+        result.mapping = false
+        result.rolledBack = true
       }
     }
-    return true
+
+    return results
   }
 
   /**
@@ -116,40 +279,528 @@ export default class NatAPI {
   *  - description
   *  - ttl
   *  - gateway
+  *
+  * Also accepts the descriptor (or array of descriptors) returned by map().
   **/
   async unmap (publicPort, privatePort) {
     if (this._destroyed) throw new Error('client is destroyed')
 
+    if (Array.isArray(publicPort)) {
+      let success = true
+      for (const mapping of publicPort) {
+        if (!(await this.unmap(mapping))) success = false
+      }
+      return success
+    }
+
     // Validate input
     const { opts } = this._validateInput(publicPort, privatePort)
 
-    arrayRemove(this._openPorts, this._openPorts.findIndex((o) => {
-      return (o.publicPort === opts.publicPort) &&
-        (o.privatePort === opts.privatePort) &&
-        (o.protocol === opts.protocol || opts.protocol == null)
-    }))
+    if (opts.gateway === 'all') {
+      return this.unmap(this._openPorts.filter((o) => {
+        return (o.publicPort === opts.publicPort) &&
+          (o.privatePort === opts.privatePort) &&
+          (!opts.protocol || o.protocol === opts.protocol)
+      }))
+    }
 
-    if (opts.protocol) {
-      // UDP or TCP
-      const response = await this._unmap(opts)
-      return response[0]
-    } else {
-      // UDP & TCP
-      const newOptsUDP = { ...opts }
-      newOptsUDP.protocol = 'UDP'
-      let response = await this._unmap(newOptsUDP)
-      if (!response[0]) return false
-      const newOptsTCP = { ...opts }
-      newOptsTCP.protocol = 'TCP'
-      response = await this._unmap(newOptsTCP)
+    const protocols = opts.protocol ? [opts.protocol] : ['UDP', 'TCP']
+    for (const protocol of protocols) {
+      const index = this._openPorts.findIndex((o) => {
+        return (o.publicPort === opts.publicPort) &&
+          (o.privatePort === opts.privatePort) &&
+          (o.protocol === protocol) &&
+          (!opts.gateway || !o.gateway || o.gateway === opts.gateway)
+      })
+
+      // Unmap with the method that created the mapping, when we know it
+      const mapping = index !== -1 ? this._openPorts[index] : { ...opts, protocol }
+      if (index !== -1) {
+        arrayRemove(this._openPorts, index)
+        this._scheduler.cancel(this._key(mapping))
+      }
+
+      const response = await this._unmap({
+        ...opts,
+        protocol,
+        method: opts.method || mapping.method,
+        gateway: mapping.gateway || opts.gateway
+      })
+      if (index !== -1) {
+        // Left in the journal, for restore() to deal with
+        if (!response[0] && this._store) await this._keepUnrestored(mapping)
+        this._persist()
+      }
       if (!response[0]) return false
-      return true
+      this.emit('unmapped', mapping)
+    }
+    return true
+  }
+
+  /**
+  * Asks the reflector to connect to the mapping from outside the NAT. Sets
+  * `reachable` on the descriptor and resolves to { reachable, address },
+  * `reachable` being null when it could not be checked.
+  **/
+  async checkPort (mapping) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (!this._reflector) throw new Error('checking ports requires a reflector')
+
+    return this._checkPort(mapping)
+  }
+
+  /**
+  * Discovers the gateways on every interface: the default gateway and every
+  * UPnP IGD that answers, each probed for NAT-PMP.
+  **/
+  async gateways () {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    const gateways = new Map()
+    const add = (address) => {
+      if (!gateways.has(address)) {
+        gateways.set(address, {
+          address,
+          localAddress: localAddress(address),
+          default: false,
+          upnp: null,
+          pmp: false
+        })
+      }
+      return gateways.get(address)
+    }
+
+    if (this.gateway) {
+      add(this.gateway).default = true
+    } else if (typeof v4 === 'function') {
+      try {
+        add(v4().gateway).default = true
+      } catch (err) {
+        debug('Could not find gateway IP:', err.message)
+      }
+    }
+
+    if (this._upnpClient) {
+      try {
+        for (const response of await this._upnpClient.discover()) {
+          const gateway = add(new URL(response.location).hostname)
+          // The interface the answer arrived on reaches this gateway
+          gateway.localAddress = response.address
+          gateway.upnp = gateway.upnp || response.location
+        }
+      } catch (err) {
+        debug('UPnP discovery failed:', err.message)
+      }
+    }
+
+    if (this.enablePMP) {
+      await Promise.all([...gateways.values()].map(async (gateway) => {
+        try {
+          await this._natClient('pmp', gateway.address).externalIp()
+          gateway.pmp = true
+        } catch (err) {
+          debug('No NAT-PMP on %s: %s', gateway.address, err.message)
+        }
+      }))
+    }
+
+    return [...gateways.values()]
+  }
+
+  /**
+  * Lists every port mapping on the gateway, with `owned` set on the ones
+  * created by this instance. NAT-PMP and PCP cannot list mappings, so only
+  * our own are reported for them.
+  **/
+  async listMappings () {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    const mappings = []
+
+    if (this._upnpClient) {
+      try {
+        const entries = await this._upnpClient.getMappings()
+        for (const entry of entries) {
+          const protocol = entry.protocol.toUpperCase()
+          mappings.push({
+            publicPort: entry.public.port,
+            privatePort: entry.private.port,
+            protocol,
+            internalClient: entry.private.host,
+            remoteHost: entry.public.host || null,
+            enabled: entry.enabled,
+            description: entry.description,
+            ttl: entry.ttl,
+            local: entry.local,
+            owned: this._openPorts.some((o) => {
+              return (o.method === 'upnp') &&
+                (o.publicPort === entry.public.port) &&
+                (o.privatePort === entry.private.port) &&
+                (o.protocol === protocol)
+            }),
+            method: 'upnp'
+          })
+        }
+      } catch (err) {
+        debug('Error listing port mappings using NAT-UPNP:', err.message)
+      }
+    }
+
+    for (const mapping of this._openPorts) {
+      if (mapping.method === 'upnp') continue
+      mappings.push({
+        publicPort: mapping.publicPort,
+        privatePort: mapping.privatePort,
+        protocol: mapping.protocol,
+        internalClient: localAddress(mapping.gateway),
+        remoteHost: null,
+        enabled: true,
+        description: mapping.description,
+        // Remaining lease, like UPnP reports it
+        ttl: Math.max(0, Math.round((mapping.expiresAt - Date.now()) / 1000)),
+        local: true,
+        owned: true,
+        method: mapping.method
+      })
+    }
+
+    return mappings
+  }
+
+  /**
+  * Finds UPnP mappings to this host carrying our description that this
+  * instance does not own, e.g. left behind by a run that crashed before
+  * destroy(), and deletes or adopts them.
+  *
+  * Other processes may share the description, so without an explicit one
+  * only the mappings a previous run saved in the journal are reclaimed.
+  *
+  * opts:
+  *  - description (default = the client description, requires a store)
+  *  - adopt: track and refresh them instead of deleting them (default = false)
+  *  - dryRun: only report what would be done (default = false)
+  *
+  * Resolves to one entry per stale mapping, with the action and whether it
+  * succeeded (null on a dry run).
+  **/
+  async reclaim (opts = {}) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (!this._upnpClient) return []
+
+    const description = opts.description || this.description
+    const action = opts.adopt ? 'adopt' : 'delete'
+
+    // Previous runs' mappings, the only ones known to be ours
+    if (!opts.description && !this._store) throw new Error('description was not specified')
+    if (this._store) await this._loadUnrestored()
+    const journal = opts.description ? null : this._unrestored.filter((entry) => entry.method === 'upnp')
+
+    let entries
+    try {
+      entries = await this._upnpClient.getMappings({ local: true, description })
+    } catch (err) {
+      debug('Error listing port mappings using NAT-UPNP:', err.message)
+      return []
+    }
+
+    const results = []
+    for (const entry of entries) {
+      const protocol = entry.protocol.toUpperCase()
+
+      // getMappings() matches descriptions by substring
+      if (typeof description === 'string' && entry.description !== description) continue
+
+      const matches = (o) => {
+        return (o.method === 'upnp') &&
+          (o.publicPort === entry.public.port) &&
+          (o.privatePort === entry.private.port) &&
+          (o.protocol === protocol)
+      }
+      if (this._openPorts.some(matches)) continue
+      if (journal && !journal.some(matches)) continue
+
+      const result = {
+        publicPort: entry.public.port,
+        privatePort: entry.private.port,
+        protocol,
+        description: entry.description,
+        ttl: entry.ttl,
+        action,
+        success: null
+      }
+      results.push(result)
+
+      if (opts.dryRun) continue
+
+      if (opts.adopt) {
+        const { gateway } = await this._upnpClient.findGateway()
+        const mapping = this._mapping({ privatePort: result.privatePort, protocol, description: result.description }, 'upnp', {
+          externalIp: await this._upnpIp(),
+          publicPort: result.publicPort,
+          // Renewed for our own ttl, not for what was left of the lease
+          ttl: result.ttl ? this.ttl : 0,
+          gateway: new URL(gateway.url).hostname
+        })
+        if (result.ttl) mapping.expiresAt = Date.now() + result.ttl * 1000
+        this._openPorts.push(mapping)
+        if (this.autoUpdate) {
+          this._scheduler.schedule(this._key(mapping), result.ttl, () => this._refresh(mapping))
+        }
+        this.emit('mapped', mapping)
+        result.success = true
+        debug('Adopted stale port %d:%d for protocol %s', result.publicPort, result.privatePort, protocol)
+      } else {
+        result.success = await this._upnpUnmap({ publicPort: result.publicPort, privatePort: result.privatePort, protocol })
+      }
+
+      // Reclaimed, no longer left for restore()
+      if (result.success && this._unrestored) {
+        this._unrestored = this._unrestored.filter((saved) => !matches(saved))
+      }
+    }
+
+    if (!opts.dryRun) await this._persist()
+
+    return results
+  }
+
+  /**
+  * Restores the mappings saved in the journal (`store` option) by a
+  * previous run.
+  *
+  * opts:
+  *  - action: 'refresh' to re-create and track them, 'remove' to delete
+  *    them from the gateway (default = 'refresh')
+  *
+  * Resolves to one entry per saved mapping: { mapping, action, success }.
+  **/
+  async restore (opts = {}) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (!this._store) return []
+
+    const action = opts.action || 'refresh'
+    if (!['refresh', 'remove'].includes(action)) throw new Error('action is invalid')
+
+    let entries
+    try {
+      entries = await this._store.load()
+    } catch (err) {
+      debug('Error loading the mapping journal:', err.message)
+      return []
+    }
+
+    const results = []
+    this._unrestored = []
+    for (const entry of entries) {
+      // Already tracked by this instance
+      if (this._openPorts.some((o) => this._key(o) === this._key(entry))) continue
+
+      if (action === 'remove') {
+        const response = await this._unmap({ ...entry })
+        if (!response[0]) this._unrestored.push(entry)
+        results.push({ mapping: entry, action, success: response[0] })
+        continue
+      }
+
+      // Permanent leases are requested again with the default TTL
+      let mapping = false
+      try {
+        mapping = await this._mapWith(entry.method, { ...entry, ttl: entry.ttl || this.ttl })
+      } catch (err) {
+        this._error(err, entry)
+      }
+
+      if (mapping) {
+        this._openPorts.push(mapping)
+        this._scheduleRefresh(mapping)
+        this.emit('mapped', mapping)
+      } else {
+        this._unrestored.push(entry)
+      }
+      results.push({ mapping: mapping || entry, action, success: !!mapping })
+    }
+
+    await this._persist()
+
+    return results
+  }
+
+  /**
+  * Opens an IPv6 firewall pinhole with UPnP WANIPv6FirewallControl.
+  *
+  * opts:
+  *  - port
+  *  - protocol (UDP, TCP or null for both)
+  *  - ttl (capped to 24 hours)
+  *  - internalClient (default = global IPv6 address of this host)
+  *  - remoteHost (default = any)
+  *  - remotePort (default = any)
+  *
+  * Resolves to the pinhole descriptor, an array of the UDP and TCP
+  * descriptors when no protocol is given, or false on failure. Without a
+  * protocol, the UDP pinhole is closed again when TCP fails.
+  **/
+  async openPinhole (opts) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (!this._upnpClient) throw new Error('pinholes require UPnP')
+
+    if (typeof opts === 'number') opts = { port: opts }
+    if (!opts || typeof opts.port !== 'number') throw new Error('port was not specified')
+    if (opts.protocol && !['UDP', 'TCP'].includes(String(opts.protocol).toUpperCase())) {
+      throw new Error('protocol is invalid')
+    }
+
+    const internalClient = opts.internalClient || globalIPv6()
+    if (!internalClient) throw new Error('no IPv6 address to open a pinhole to')
+
+    if (!opts.protocol) {
+      const pinholes = []
+      for (const protocol of ['UDP', 'TCP']) {
+        const pinhole = await this.openPinhole({ ...opts, protocol, internalClient })
+        if (!pinhole) {
+          // Do not leave the UDP pinhole open when the TCP one failed
+          await this.closePinhole(pinholes)
+          return false
+        }
+        pinholes.push(pinhole)
+      }
+      return pinholes
+    }
+
+    const protocol = opts.protocol.toUpperCase()
+    debug('Opening pinhole to [%s]:%d for %s using UPnP', internalClient, opts.port, protocol)
+
+    let pinhole
+    try {
+      const lease = await this._upnpClient.addPinhole({
+        port: opts.port,
+        protocol,
+        internalClient,
+        remoteHost: opts.remoteHost,
+        remotePort: opts.remotePort,
+        ttl: opts.ttl || this.ttl
+      })
+      pinhole = {
+        id: lease.id,
+        internalClient,
+        port: opts.port,
+        protocol,
+        remoteHost: opts.remoteHost || null,
+        remotePort: opts.remotePort || null,
+        ttl: lease.ttl,
+        expiresAt: Date.now() + lease.ttl * 1000,
+        method: 'upnp',
+        gateway: lease.gateway
+      }
+    } catch (err) {
+      debug('Error opening pinhole to [%s]:%d using UPnP:', internalClient, opts.port, err.message)
+      return false
+    }
+
+    this._pinholes.push(pinhole)
+    if (this.autoUpdate) {
+      this._scheduler.schedule('pinhole:' + pinhole.id, pinhole.ttl, () => this._refreshPinhole(pinhole))
+    }
+
+    debug('Pinhole %s to [%s]:%d for %s opened using UPnP', pinhole.id, internalClient, opts.port, protocol)
+
+    return pinhole
+  }
+
+  /**
+  * Closes a pinhole (or array of pinholes) returned by openPinhole().
+  **/
+  async closePinhole (pinhole) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    if (Array.isArray(pinhole)) {
+      let success = true
+      for (const item of pinhole) {
+        if (!(await this.closePinhole(item))) success = false
+      }
+      return success
+    }
+
+    this._scheduler.cancel('pinhole:' + pinhole.id)
+    const index = this._pinholes.indexOf(pinhole)
+    if (index !== -1) arrayRemove(this._pinholes, index)
+
+    try {
+      await this._upnpClient.deletePinhole({ id: pinhole.id })
+    } catch (err) {
+      debug('Error closing pinhole %s using UPnP:', pinhole.id, err.message)
+      return false
+    }
+
+    debug('Pinhole %s closed using UPnP', pinhole.id)
+
+    return true
+  }
+
+  /**
+  * Whether the gateway's IPv6 firewall is enabled and accepts pinholes.
+  **/
+  async firewallStatus () {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (!this._upnpClient) throw new Error('pinholes require UPnP')
+
+    return this._upnpClient.getFirewallStatus()
+  }
+
+  /**
+  * Reports what the network and the gateway support, to troubleshoot
+  * failing mappings.
+  *
+  * opts:
+  *  - probe: map and remove a short-lived UDP port through UPnP to find out
+  *    whether the gateway only accepts permanent leases (default = false)
+  *  - probePort: port used by the probe (default = 50000-59999, random)
+  **/
+  async diagnose (opts = {}) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    const report = {
+      gateway: null,
+      interface: null,
+      pmp: null,
+      pcp: null,
+      upnp: null,
+      externalIp: null,
+      externalIpType: 'unknown'
     }
+
+    try {
+      const results = v4()
+      report.gateway = results.gateway
+      report.interface = results.int
+    } catch (err) {
+      debug('Could not find gateway IP:', err.message)
+    }
+
+    if (this._pmpClient) report.pmp = await this._diagnosePMP()
+    if (this._pcpClient) {
+      report.pcp = { gateway: this._pcpClient.gateway, supported: this._pcpClient.supported }
+    }
+    if (this._upnpClient) report.upnp = await this._diagnoseUPNP(opts)
+
+    report.externalIp = (report.pmp && report.pmp.externalIp) || (report.upnp && report.upnp.externalIp) || null
+    report.externalIpType = classifyAddress(report.externalIp)
+
+    return report
   }
 
   async destroy () {
     if (this._destroyed) throw new Error('client already destroyed')
 
+    // Close all pinholes
+    for (const pinhole of [...this._pinholes]) {
+      try {
+        await this.closePinhole(pinhole)
+      } catch (e) {
+        debug('failed to close pinhole %s during destruction', pinhole.id)
+      }
+    }
+
     // Unmap all ports
     const openPortsCopy = [...this._openPorts]
 
@@ -161,13 +812,24 @@ export default class NatAPI {
       }
     }
 
+    await this._persist()
+
     this._destroyed = true
+    this._scheduler.clear()
+
+    // Close PCP clients
+    if (this._pcpClient) {
+      debug('Close PCP client')
+      await this._pcpClient.close()
+    }
+    for (const client of this._pcpClients.values()) await client.close()
 
-    // Close NAT-PMP client
+    // Close NAT-PMP clients
     if (this._pmpClient) {
       debug('Close PMP client')
       await this._pmpClient.close()
     }
+    for (const client of this._pmpClients.values()) await client.close()
 
     // Close UPNP Client
     if (this._upnpClient) {
@@ -180,11 +842,9 @@ export default class NatAPI {
 
   _validateInput (publicPort, privatePort) {
     let opts
-    // opts
-    opts = publicPort
     if (typeof publicPort === 'object') {
       // object
-      opts = publicPort
+      opts = { ...publicPort }
     } else if (typeof publicPort === 'number' && typeof privatePort === 'number') {
       // number, number
       opts = {}
@@ -202,7 +862,7 @@ export default class NatAPI {
     if (opts.protocol && (typeof opts.protocol !== 'string' || !['UDP', 'TCP'].includes(opts.protocol.toUpperCase()))) {
       throw new Error('protocol is invalid')
     } else {
-      opts.protocol = opts.protocol || null
+      opts.protocol = opts.protocol ? opts.protocol.toUpperCase() : null
     }
     opts.description = opts.description || this.description
     opts.ttl = opts.ttl || this.ttl
@@ -211,53 +871,263 @@ export default class NatAPI {
     return { opts }
   }
 
-  async _map (opts) {
-    if (this._destroyed) throw new Error('client is destroyed')
-    try {
-      if (this._pmpClient) {
-        const pmpSuccess = await this._pmpMap(opts)
-        if (pmpSuccess) return [true, null]
-        debug('NAT-PMP port mapping failed')
+  // Maps on every gateway with 'all', and both protocols without one
+  async _mapPorts (opts) {
+    if (opts.gateway === 'all') {
+      const mappings = []
+      const errors = []
+      for (const gateway of await this.gateways()) {
+        try {
+          const target = { ...opts, gateway: gateway.address }
+          // UPnP would fall back to another gateway's IGD
+          if (!gateway.upnp) target.methods = this._methods(target).filter((method) => method !== 'upnp')
+          mappings.push(...[].concat(await this._mapPorts(target)))
+        } catch (err) {
+          if (!(err instanceof MappingFailedError)) throw err
+          errors.push(...err.errors)
+        }
       }
-      if (this._upnpClient) {
-        const upnpSuccess = await this._upnpMap(opts)
-        if (upnpSuccess) return [true, null]
-        debug('NAT-UPNP port mapping failed')
+      if (!mappings.length) throw new MappingFailedError('no gateway mapped the port', errors)
+      return mappings
+    }
+
+    // UDP or TCP
+    if (opts.protocol) return this._mapPort(opts)
+
+    // UDP & TCP, both or neither
+    const mappings = []
+    for (const protocol of ['UDP', 'TCP']) {
+      try {
+        mappings.push(await this._mapPort({ ...opts, protocol }))
+      } catch (err) {
+        for (const mapping of mappings) {
+          try {
+            await this.unmap(mapping)
+          } catch (e) {
+            debug('failed to remove port %d %s: %s', mapping.publicPort, mapping.protocol, e.message)
+          }
+        }
+        throw err
       }
-      return [false, new Error('no protocols succeeded')]
-    } catch (error) {
-      return [false, error]
     }
+    return mappings
+  }
+
+  async _mapPort (opts) {
+    let [mapping, err] = await this._map(opts)
+    if (!mapping) mapping = await this._resolveConflict(opts, err)
+
+    if (opts.verify != null ? opts.verify : this.verify) await this._checkPort(mapping)
+
+    await this._checkReachable(mapping)
+    this._openPorts.push(mapping)
+    this._scheduleRefresh(mapping)
+    this.emit('mapped', mapping)
+    this._persist()
+    return mapping
   }
 
-  async _pmpIp () {
+  async _map (opts) {
     if (this._destroyed) throw new Error('client is destroyed')
+    const errors = []
     try {
-      if (this._pmpClient) {
-        const pmpTimeout = new Promise((resolve, reject) => {
-          setTimeout(() => {
-            const err = new Error('timeout')
-            debug(
-              'Error getting external ip using NAT-PMP:',
-              err.message
-            )
-            reject(err)
-          }, 1000).unref?.()
-        })
+      const key = opts.gateway || ''
+      let methods = this._methods(opts)
+      let mapping
 
-        const ip = await Promise.race([this._pmpClient.externalIp(), pmpTimeout])
-        if (ip) return ip
-        debug('NAT-PMP getting public ip failed')
+      if (this.strategy === 'race') {
+        mapping = await this._raceMap(opts, methods, errors)
+      } else {
+        const learned = this.strategy === 'prefer-learned' && this._learned.get(key)
+        if (learned && methods.includes(learned)) {
+          methods = [learned, ...methods.filter((method) => method !== learned)]
+        }
+        mapping = await this._sequentialMap(opts, methods, errors)
       }
-    } catch (err) {}
-    return ''
+
+      if (!mapping) return [false, new MappingFailedError(null, errors, { gateway: opts.gateway })]
+      this._learned.set(key, mapping.method)
+      return [mapping, null]
+    } catch (error) {
+      return [false, new MappingFailedError(null, [...errors, error], { gateway: opts.gateway })]
+    }
   }
 
-  async _upnpIp () {
+  /**
+   * Applies the onConflict policy when the gateway reported the public port
+   * taken. NAT-PMP and PCP pick another port themselves, so this only
+   * concerns UPnP. Throws `err` when the conflict stays unresolved.
+   */
+
+  async _resolveConflict (opts, err) {
+    const policy = opts.onConflict || this.onConflict
+    const conflict = err.errors && err.errors.find((e) => e instanceof MappingConflictError && e.protocol === 'upnp')
+    if (policy === 'fail' || !conflict || !this._upnpClient) throw err
+
+    // Other public ports cannot reach the same private port there
+    if (policy !== 'replace-own' && this._samePortOnly.has(opts.gateway || '')) throw err
+
+    // Mappings already on the gateway, so taken ports are skipped
+    let entries = []
+    try {
+      entries = (await this._upnpClient.getMappings({ gateway: opts.gateway }))
+        .filter((entry) => entry.protocol.toUpperCase() === opts.protocol)
+    } catch (e) {
+      debug('Could not list the mappings: %s', e.message)
+    }
+
+    const errors = [...err.errors]
+    let ports
+    if (policy === 'replace-own') {
+      const own = entries.find((entry) => entry.public.port === opts.publicPort && entry.local)
+      if (!own) throw err
+
+      debug('Replacing the old mapping of port %d', opts.publicPort)
+      try {
+        await this._upnpClient.portUnmapping({ public: opts.publicPort, protocol: opts.protocol, gateway: opts.gateway })
+      } catch (e) {
+        throw new MappingFailedError('could not replace the mapping', [...errors, e], { gateway: opts.gateway })
+      }
+      ports = [opts.publicPort]
+    } else {
+      const used = new Set(entries.map((entry) => entry.public.port))
+      ports = this._alternativePorts(opts, policy, used)
+    }
+
+    for (const port of ports) {
+      debug('Port %d is taken, trying %d', opts.publicPort, port)
+      try {
+        const mapping = await this._mapWith('upnp', { ...opts, publicPort: port })
+        if (mapping) return mapping
+      } catch (e) {
+        errors.push(e)
+        // Only another conflict is worth trying the next port for
+        if (!(e instanceof MappingConflictError)) break
+      }
+    }
+
+    throw new MappingFailedError('no free public port found', errors, { gateway: opts.gateway })
+  }
+
+  _alternativePorts (opts, policy, used) {
+    const [min, max] = opts.conflictRange || this.conflictRange
+    const attempts = opts.conflictAttempts || this.conflictAttempts
+    const free = (port) => port !== opts.publicPort && !used.has(port)
+    const ports = []
+
+    if (policy === 'next-free') {
+      let port = opts.publicPort
+      for (let i = 0; i <= max - min && ports.length < attempts; i++) {
+        port = port >= max || port < min ? min : port + 1
+        if (free(port)) ports.push(port)
+      }
+      return ports
+    }
+
+    // Random ports, giving up after a few draws hit taken ones
+    for (let i = 0; i < attempts * 10 && ports.length < attempts; i++) {
+      const port = min + Math.floor(Math.random() * (max - min + 1))
+      if (free(port) && !ports.includes(port)) ports.push(port)
+    }
+    return ports
+  }
+
+  // Protocols available for the gateway, in order of preference, unless
+  // `opts.methods` narrowed them
+  _methods (opts) {
+    if (opts.methods) return opts.methods
+
+    const methods = []
+    const pcpClient = this._natClient('pcp', opts.gateway)
+    if (pcpClient && pcpClient.supported !== false) methods.push('pcp')
+    if (this._natClient('pmp', opts.gateway)) methods.push('pmp')
+    if (this._upnpClient) methods.push('upnp')
+    return methods
+  }
+
+  // Tries each protocol in turn, collecting why they failed in `errors`
+  async _sequentialMap (opts, methods, errors = []) {
+    for (const method of methods) {
+      // PCP may have turned out unsupported while trying it
+      if (method === 'pcp' && this._natClient('pcp', opts.gateway).supported === false) continue
+
+      try {
+        const mapping = await this._mapWith(method, opts)
+        if (mapping) return mapping
+      } catch (err) {
+        errors.push(err instanceof NatError ? err : new NatError(err.message, { protocol: method, gateway: opts.gateway }))
+      }
+      debug('Port mapping using %s failed', method)
+    }
+    return false
+  }
+
+  /**
+   * Runs NAT-PMP/PCP and UPnP at once. The first mapping wins, mappings
+   * granted later by the other protocol are removed again, unless they are
+   * the same redirect on the same gateway.
+   */
+
+  _raceMap (opts, methods, errors = []) {
+    const natMethods = methods.filter((method) => method !== 'upnp')
+    const attempts = [natMethods, methods.filter((method) => method === 'upnp')]
+      .filter((group) => group.length)
+      .map((group) => this._sequentialMap(opts, group, errors).catch((err) => {
+        debug('Port mapping using %s failed: %s', group.join('/'), err.message)
+        return false
+      }))
+
+    return new Promise((resolve) => {
+      let winner = null
+      let pending = attempts.length
+      if (!pending) resolve(false)
+
+      for (const attempt of attempts) {
+        attempt.then(async (mapping) => {
+          if (mapping && !winner) {
+            winner = mapping
+            resolve(mapping)
+          } else if (mapping && mapping.gateway === winner.gateway &&
+              mapping.publicPort === winner.publicPort && mapping.protocol === winner.protocol) {
+            // Gateways such as miniupnpd keep NAT-PMP/PCP and UPnP redirects in
+            // one table, removing this one would remove the winner too
+            debug('Keeping port %d mapped using %s, it is the same redirect', mapping.publicPort, mapping.method)
+          } else if (mapping) {
+            debug('Removing port %d mapped using %s, it lost the race', mapping.publicPort, mapping.method)
+            try {
+              const [success, err] = await this._unmap({ ...mapping })
+              if (!success) debug('failed to remove the extra mapping: %s', err.message)
+            } catch (err) {
+              debug('failed to remove the extra mapping: %s', err.message)
+            }
+          }
+        }).finally(() => {
+          if (--pending === 0) resolve(winner || false)
+        })
+      }
+    })
+  }
+
+  async _pmpIp (gateway) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    try {
+      const client = this._natClient('pmp', gateway)
+      if (client) {
+        const ip = await client.externalIp()
+        if (ip) return ip
+        debug('NAT-PMP getting public ip failed')
+      }
+    } catch (err) {
+      debug('Error getting external ip using NAT-PMP:', err.message)
+    }
+    return ''
+  }
+
+  async _upnpIp (gateway) {
     if (this._destroyed) throw new Error('client is destroyed')
     try {
       if (this._upnpClient) {
-        const ip = await this._upnpClient.externalIp()
+        const ip = await this._upnpClient.externalIp({ gateway })
         if (ip) return ip
         debug('NAT-UPNP getting public ip failed')
       }
@@ -281,20 +1151,151 @@ export default class NatAPI {
         debug('getting public ip failed via NAT-UPNP')
       }
     } catch (err) {}
+    if (this._stunClient) {
+      debug('getting ip via STUN')
+      try {
+        return (await this._stunClient.mappedAddress()).address
+      } catch (err) {
+        debug('getting public ip failed via STUN: %s', err.message)
+      }
+    }
     return ''
   }
 
+  async _diagnosePMP () {
+    const result = {
+      gateway: this._pmpClient.gateway,
+      responded: false,
+      resultCode: null,
+      externalIp: null,
+      error: null
+    }
+
+    try {
+      result.externalIp = await this._pmpClient.externalIp()
+      result.responded = true
+      result.resultCode = 0
+    } catch (err) {
+      // Numeric codes are result codes sent by the gateway
+      if (typeof err.code === 'number') {
+        result.responded = true
+        result.resultCode = err.code
+      }
+      result.error = err.message
+    }
+
+    return result
+  }
+
+  async _diagnoseUPNP (opts) {
+    const result = {
+      responses: [],
+      location: null,
+      deviceType: null,
+      friendlyName: null,
+      manufacturer: null,
+      modelName: null,
+      modelNumber: null,
+      serviceTypes: [],
+      wanServices: [],
+      externalIp: null,
+      permanentLeaseOnly: null,
+      error: null
+    }
+
+    try {
+      result.responses = await this._upnpClient.discover()
+      if (!result.responses.length) {
+        result.error = 'no gateway answered the SSDP search'
+        return result
+      }
+
+      const { gateway } = await this._upnpClient.findGateway()
+      result.location = gateway.url
+      Object.assign(result, await gateway.describe())
+      result.wanServices = result.serviceTypes.filter((type) => /:service:WAN(IP|PPP)Connection:/.test(type))
+      result.externalIp = await this._upnpIp() || null
+
+      if (opts.probe) result.permanentLeaseOnly = await this._probePermanentLease(opts.probePort)
+    } catch (err) {
+      result.error = err.message
+    }
+
+    return result
+  }
+
+  async _probePermanentLease (port) {
+    port = port || 50000 + Math.floor(Math.random() * 10000)
+    const probe = {
+      public: port,
+      private: port,
+      protocol: 'UDP',
+      description: this.description + ' probe',
+      ttl: 60
+    }
+
+    let lease
+    try {
+      lease = await this._upnpClient.portMapping(probe)
+    } catch (err) {
+      if (err.code === 725) return true
+      debug('UPnP lease probe failed:', err.message)
+      return null
+    }
+
+    try {
+      await this._upnpClient.portUnmapping({ ...probe, public: lease.public })
+    } catch (err) {
+      debug('Could not remove the UPnP lease probe:', err.message)
+    }
+
+    // With upnpPermanentFallback the probe was retried with a zero lease
+    return lease.ttl === 0
+  }
+
+  /**
+  * Classifies the external IP as 'public', 'private' (double NAT), 'cgnat'
+  * or 'unknown'.
+  **/
+  async externalIpType () {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    return classifyAddress(await this.externalIp())
+  }
+
+  /**
+  * Runs the RFC 5780 behavior tests against the `stun` server. Resolves to
+  * { address, port, natted, mapping, filtering }, mapping and filtering
+  * being 'endpoint-independent', 'address-dependent',
+  * 'address-and-port-dependent', or 'unknown' when the server has no
+  * alternate address.
+  **/
+  async natType () {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (!this._stunClient) throw new Error('natType requires a STUN server')
+
+    return this._stunClient.natType()
+  }
+
   async _unmap (opts) {
     if (this._destroyed) throw new Error('client is destroyed')
     try {
-      if (this._pmpClient) {
+      const pcpClient = this._natClient('pcp', opts.gateway)
+      if (pcpClient && pcpClient.supported !== false && (!opts.method || opts.method === 'pcp')) {
+        const pcpSuccess = await this._pcpUnmap(opts)
+        if (pcpSuccess) {
+          return [true, null]
+        }
+        debug('PCP port unmapping failed')
+      }
+      if (this._natClient('pmp', opts.gateway) && (!opts.method || opts.method === 'pmp')) {
         const pmpSuccess = await this._pmpUnmap(opts)
         if (pmpSuccess) {
           return [true, null]
         }
         debug('NAT-PMP port unmapping failed')
       }
-      if (this._upnpClient) {
+      if (this._upnpClient && (!opts.method || opts.method === 'upnp')) {
         const upmpSuccess = await this._upnpUnmap(opts)
         if (upmpSuccess) {
           return [true, null]
@@ -311,34 +1312,56 @@ export default class NatAPI {
     if (this._destroyed) throw new Error('client is destroyed')
     debug('Mapping public port %d to private port %d by %s using UPnP', opts.publicPort, opts.privatePort, opts.protocol)
 
+    // Learned from error 724 on an earlier mapping
+    const key = opts.gateway || ''
+    const samePort = this._samePortOnly.has(key)
+    const request = {
+      public: samePort ? opts.privatePort : opts.publicPort,
+      private: opts.privatePort,
+      description: opts.description,
+      protocol: opts.protocol,
+      ttl: opts.ttl,
+      gateway: opts.gateway
+    }
+
+    let lease
     try {
-      await this._upnpClient.portMapping({
-        public: opts.publicPort,
-        private: opts.privatePort,
-        description: opts.description,
-        protocol: opts.protocol,
-        ttl: opts.ttl
-      })
+      lease = await this._upnpClient.portMapping(request)
     } catch (err) {
       debug(
-        'Error unmapping port %d:%d using NAT-UPNP:',
+        'Error mapping port %d:%d using NAT-UPNP:',
         opts.publicPort,
         opts.privatePort,
         err.message
       )
-      return false
-    }
+      if (!(err instanceof SamePortRequiredError) || samePort) throw err
+      this._samePortOnly.add(key)
+      // The ports already match, a retry would ask for the same
+      if (opts.publicPort === opts.privatePort) throw err
 
-    if (this.autoUpdate) {
-      this._upnpIntervals[opts.publicPort + ':' + opts.privatePort + '-' + opts.protocol] = setInterval(
-        () => this._upnpMap(opts),
-        this._timeout
-      ).unref?.()
+      // Retry with the public port set to the private one
+      debug('Gateway %s requires matching ports, retrying with port %d', err.gateway, opts.privatePort)
+      try {
+        lease = await this._upnpClient.portMapping({ ...request, public: opts.privatePort })
+      } catch (e) {
+        throw new SamePortRequiredError(
+          'gateway requires the public and private ports to be the same, and port ' + opts.privatePort + ' could not be mapped: ' + e.message,
+          { protocol: 'upnp', gateway: err.gateway, code: 724 }
+        )
+      }
     }
 
+    const mapping = this._mapping(opts, 'upnp', {
+      externalIp: await this._upnpIp(lease.gateway),
+      publicPort: lease.public,
+      ttl: lease.ttl,
+      gateway: lease.gateway,
+      samePortRequired: this._samePortOnly.has(key)
+    })
+
     debug('Port %d:%d for protocol %s mapped on router using UPnP', opts.publicPort, opts.privatePort, opts.protocol)
 
-    return true
+    return mapping
   }
 
   async _pmpMap (opts) {
@@ -350,55 +1373,117 @@ export default class NatAPI {
       opts.protocol
     )
 
-    // If we come from a timeouted (or error) request, we need to reconnect
-    if (this._pmpClient && this._pmpClient.socket == null) {
-      this._pmpClient = new NatPMP(this._pmpClient.gateway)
+    const client = this._natClient('pmp', opts.gateway)
+    let lease
+    try {
+      lease = await client.portMapping({
+        public: opts.publicPort,
+        private: opts.privatePort,
+        type: opts.protocol,
+        ttl: opts.ttl
+      })
+    } catch (err) {
+      debug(
+        'Error mapping port %d:%d using NAT-PMP:',
+        opts.publicPort,
+        opts.privatePort,
+        err.message
+      )
+      throw err
     }
 
-    const pmpTimeout = new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const err = new Error('timeout')
-        reject(err)
-      }, 1000).unref?.()
+    const mapping = this._mapping(opts, 'pmp', {
+      externalIp: await this._pmpIp(client.gateway),
+      publicPort: lease.public,
+      ttl: lease.ttl,
+      gateway: client.gateway
     })
 
+    debug(
+      'Port %d:%d for protocol %s mapped on router using NAT-PMP',
+      lease.public,
+      opts.privatePort,
+      opts.protocol
+    )
+
+    return mapping
+  }
+
+  async _pcpMap (opts) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    debug(
+      'Mapping public port %d to private port %d by %s using PCP',
+      opts.publicPort,
+      opts.privatePort,
+      opts.protocol
+    )
+
+    const client = this._natClient('pcp', opts.gateway)
+    let lease
     try {
-      await Promise.race([
-        this._pmpClient.portMapping({
-          public: opts.publicPort,
-          private: opts.privatePort,
-          type: opts.protocol,
-          ttl: opts.ttl
-        }),
-        pmpTimeout
-      ])
+      lease = await client.portMapping({
+        public: opts.publicPort,
+        private: opts.privatePort,
+        type: opts.protocol,
+        ttl: opts.ttl
+      })
     } catch (err) {
+      if (client.supported === false) {
+        debug('Gateway does not support PCP, falling back to NAT-PMP')
+      }
       debug(
-        'Error mapping port %d:%d using NAT-PMP:',
+        'Error mapping port %d:%d using PCP:',
         opts.publicPort,
         opts.privatePort,
         err.message
       )
-      return false
+      throw err
     }
 
-    if (this.autoUpdate) {
-      this._pmpIntervals[
-        opts.publicPort + ':' + opts.privatePort + '-' + opts.protocol
-      ] = setInterval(
-        async () => {
-          try {
-            await this._pmpMap.bind(this, opts)
-          } catch (err) {
-            // Handle any errors here
-          }
-        },
-        this._timeout
-      ).unref?.()
+    const mapping = this._mapping(opts, 'pcp', {
+      externalIp: lease.ip,
+      publicPort: lease.public,
+      ttl: lease.ttl,
+      gateway: client.gateway
+    })
+
+    debug(
+      'Port %d:%d for protocol %s mapped on router using PCP',
+      lease.public,
+      opts.privatePort,
+      opts.protocol
+    )
+
+    return mapping
+  }
+
+  async _pcpUnmap (opts) {
+    if (this._destroyed) throw new Error('client is destroyed')
+    debug(
+      'Unmapping public port %d to private port %d by %s using PCP',
+      opts.publicPort,
+      opts.privatePort,
+      opts.protocol
+    )
+
+    try {
+      await this._natClient('pcp', opts.gateway).portUnmapping({
+        public: opts.publicPort,
+        private: opts.privatePort,
+        type: opts.protocol
+      })
+    } catch (err) {
+      debug(
+        'Error unmapping port %d:%d using PCP:',
+        opts.publicPort,
+        opts.privatePort,
+        err.message
+      )
+      return false
     }
 
     debug(
-      'Port %d:%d for protocol %s mapped on router using NAT-PMP',
+      'Port %d:%d for protocol %s unmapped on router using PCP',
       opts.publicPort,
       opts.privatePort,
       opts.protocol
@@ -415,7 +1500,8 @@ export default class NatAPI {
       await this._upnpClient.portUnmapping({
         public: opts.publicPort,
         private: opts.privatePort,
-        protocol: opts.protocol
+        protocol: opts.protocol,
+        gateway: opts.gateway
       })
     } catch (err) {
       debug(
@@ -427,13 +1513,6 @@ export default class NatAPI {
       return false
     }
 
-    // Clear intervals
-    const key = opts.publicPort + ':' + opts.privatePort + '-' + opts.protocol
-    if (this._upnpIntervals[key]) {
-      clearInterval(this._upnpIntervals[key])
-      delete this._upnpIntervals[key]
-    }
-
     debug('Port %d:%d for protocol %s unmapped on router using UPnP', opts.publicPort, opts.privatePort, opts.protocol)
 
     return true
@@ -448,33 +1527,12 @@ export default class NatAPI {
       opts.protocol
     )
 
-    // If we come from a timeouted (or error) request, we need to reconnect
-    if (this._pmpClient && this._pmpClient.socket == null) {
-      this._pmpClient = new NatPMP(this._pmpClient.gateway)
-    }
-
-    const pmpTimeout = new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const err = new Error('timeout')
-        debug(
-          'Error unmapping port %d:%d using NAT-PMP:',
-          opts.publicPort,
-          opts.privatePort,
-          err.message
-        )
-        reject(err)
-      }, 1000).unref?.()
-    })
-
     try {
-      await Promise.race([
-        this._pmpClient.portUnmapping({
-          public: opts.publicPort,
-          private: opts.privatePort,
-          type: opts.protocol
-        }),
-        pmpTimeout
-      ])
+      await this._natClient('pmp', opts.gateway).portUnmapping({
+        public: opts.publicPort,
+        private: opts.privatePort,
+        type: opts.protocol
+      })
     } catch (err) {
       debug(
         'Error unmapping port %d:%d using NAT-PMP:',
@@ -485,13 +1543,6 @@ export default class NatAPI {
       return false
     }
 
-    // Clear intervals
-    const key = opts.publicPort + ':' + opts.privatePort + '-' + opts.protocol
-    if (this._pmpIntervals[key]) {
-      clearInterval(this._pmpIntervals[key])
-      delete this._pmpIntervals[key]
-    }
-
     debug(
       'Port %d:%d for protocol %s unmapped on router using NAT-PMP',
       opts.publicPort,
@@ -502,7 +1553,314 @@ export default class NatAPI {
     return true
   }
 
-  _checkPort (publicPort, cb) {
-    // TOOD: check port
+  _key (mapping) {
+    return mapping.method + ':' + (mapping.gateway || '') + ':' + mapping.publicPort + ':' + mapping.privatePort + '-' + mapping.protocol
+  }
+
+  _scheduleRefresh (mapping) {
+    if (!this.autoUpdate) return
+    this._scheduler.schedule(this._key(mapping), mapping.ttl, () => this._refresh(mapping))
+  }
+
+  /**
+   * Maps with one given method. Resolves to the descriptor, or false.
+   */
+
+  async _mapWith (method, opts) {
+    if (method === 'pcp' && this._natClient('pcp', opts.gateway)) return this._pcpMap(opts)
+    if (method === 'pmp' && this._natClient('pmp', opts.gateway)) return this._pmpMap(opts)
+    if (method === 'upnp' && this._upnpClient) return this._upnpMap(opts)
+    return false
+  }
+
+  /**
+   * Saves the open mappings to the journal. Saves are serialized so the
+   * last one always wins.
+   */
+
+  _persist () {
+    if (!this._store) return this._saving
+
+    this._saving = this._saving
+      .then(() => this._loadUnrestored())
+      .then(() => {
+        const keys = new Set(this._openPorts.map((mapping) => this._key(mapping)))
+        const unrestored = this._unrestored.filter((entry) => !keys.has(this._key(entry)))
+        return this._store.save([...this._openPorts, ...unrestored].map((mapping) => ({ ...mapping })))
+      })
+      .catch((err) => this._error(err))
+    return this._saving
+  }
+
+  /**
+   * Keeps the previous run's journal entries when mappings are saved before
+   * restore() ran, so they are not overwritten.
+   */
+
+  async _loadUnrestored () {
+    if (this._unrestored) return
+
+    let entries = []
+    try {
+      entries = await this._store.load()
+    } catch (err) {
+      debug('Error loading the mapping journal:', err.message)
+    }
+    // restore() may have read it meanwhile
+    if (!this._unrestored) this._unrestored = entries
+  }
+
+  async _keepUnrestored (mapping) {
+    await this._loadUnrestored()
+    const key = this._key(mapping)
+    this._unrestored = this._unrestored.filter((entry) => this._key(entry) !== key)
+    this._unrestored.push({ ...mapping })
+  }
+
+  /**
+   * Renews a mapping with the method that created it and updates its
+   * descriptor in place. Resolves to the granted ttl, or false on failure.
+   */
+
+  async _refresh (mapping) {
+    if (this._destroyed) return false
+
+    const key = this._key(mapping)
+    let refreshed = false
+    try {
+      refreshed = await this._mapWith(mapping.method, { ...mapping })
+    } catch (err) {
+      this._error(err, mapping)
+    }
+
+    if (!refreshed) {
+      debug('Refreshing port %d:%d for protocol %s failed', mapping.publicPort, mapping.privatePort, mapping.protocol)
+      this.emit('refresh-failed', mapping)
+
+      if (mapping.expiresAt && mapping.expiresAt <= Date.now()) {
+        this._scheduler.cancel(this._key(mapping))
+        const index = this._openPorts.indexOf(mapping)
+        if (index !== -1) arrayRemove(this._openPorts, index)
+        this.emit('expired', mapping)
+        this._persist()
+      }
+      return false
+    }
+
+    const previousIp = mapping.externalIp
+    const externalIp = refreshed.externalIp || previousIp
+    Object.assign(mapping, refreshed, { externalIp, externalIpType: classifyAddress(externalIp) })
+    this.emit('refreshed', mapping)
+    this._persist()
+
+    if (this._key(mapping) !== key) {
+      // The gateway moved the mapping to another port, track it under its new key
+      this._scheduler.cancel(key)
+      this._scheduleRefresh(mapping)
+    }
+
+    if (previousIp && mapping.externalIp !== previousIp) {
+      debug('External IP changed from %s to %s', previousIp, mapping.externalIp)
+      this.emit('external-ip-changed', mapping, previousIp)
+    }
+
+    return mapping.ttl
+  }
+
+  async _refreshPinhole (pinhole) {
+    if (this._destroyed) return false
+
+    try {
+      const lease = await this._upnpClient.updatePinhole({ id: pinhole.id, ttl: pinhole.ttl })
+      pinhole.ttl = lease.ttl
+      pinhole.expiresAt = Date.now() + lease.ttl * 1000
+      return pinhole.ttl
+    } catch (err) {
+      debug('Refreshing pinhole %s failed:', pinhole.id, err.message)
+
+      if (pinhole.expiresAt <= Date.now()) {
+        this._scheduler.cancel('pinhole:' + pinhole.id)
+        const index = this._pinholes.indexOf(pinhole)
+        if (index !== -1) arrayRemove(this._pinholes, index)
+      }
+      return false
+    }
+  }
+
+  /**
+   * NAT-PMP or PCP client of `gateway`, created on first use. The default
+   * gateway's client is used when `gateway` is not set.
+   */
+
+  _natClient (protocol, gateway) {
+    const client = protocol === 'pcp' ? this._pcpClient : this._pmpClient
+    if (!gateway || (client && client.gateway === gateway)) return client
+
+    const enabled = protocol === 'pcp' ? this.enablePCP : this.enablePMP
+    if (!enabled) return null
+
+    const clients = protocol === 'pcp' ? this._pcpClients : this._pmpClients
+    if (!clients.has(gateway)) {
+      const Client = protocol === 'pcp' ? NatPCP : NatPMP
+      // Port 5350 stays with the default client: a second socket bound to it
+      // would take its responses
+      clients.set(gateway, this._watchClient(new Client(gateway, { maxAttempts: this.pmpAttempts, port: 0 })))
+    }
+    return clients.get(gateway)
+  }
+
+  /**
+   * Forwards errors of a protocol client as NatAPI 'error' events, and
+   * follows its gateway's restarts and address announcements.
+   */
+
+  _watchClient (client) {
+    client.on('error', (err) => this._error(err))
+    client.on('reset', (info) => this._onGatewayReset(client, info))
+    client.on('external-ip', (info) => this._onExternalIp(client, info))
+    return client
+  }
+
+  /**
+   * Gateway announced a new external address: update the descriptors and
+   * re-map right away instead of waiting for the next refresh.
+   */
+
+  _onExternalIp (client, info) {
+    if (this._destroyed) return
+    debug('Gateway %s announced external IP %s', client.gateway, info.ip)
+
+    let changed = false
+    for (const mapping of this._openPorts) {
+      if (mapping.gateway && mapping.gateway !== client.gateway) continue
+      if (mapping.externalIp === info.ip) continue
+      const previousIp = mapping.externalIp
+      mapping.externalIp = info.ip
+      mapping.externalIpType = classifyAddress(info.ip)
+      changed = true
+      this.emit('external-ip-changed', mapping, previousIp)
+    }
+
+    if (changed) this._remapAll()
+  }
+
+  _onGatewayReset (client, info) {
+    if (this._destroyed) return
+    debug('Gateway %s restarted (epoch %d, was %d), re-creating mappings', client.gateway, info.epoch, info.previous)
+    this.emit('gateway-reset', { gateway: client.gateway, epoch: info.epoch, previousEpoch: info.previous })
+    this._remapAll()
+  }
+
+  /**
+   * A UPnP gateway announced a new BOOTID or location, or was replaced: its
+   * mappings are gone.
+   */
+
+  _onUpnpReset (info) {
+    if (this._destroyed) return
+    debug('UPnP gateway %s restarted (boot %s, was %s), re-creating mappings', info.gateway, info.bootId, info.previous)
+    this.emit('gateway-reset', { gateway: info.gateway, bootId: info.bootId, previousBootId: info.previous })
+    this._remapAll()
+  }
+
+  _onUpnpLost (info) {
+    if (this._destroyed) return
+    debug('UPnP gateway %s is gone (%s)', info.gateway, info.reason)
+    this.emit('gateway-lost', { gateway: info.gateway, reason: info.reason })
+  }
+
+  /**
+   * Re-creates every open mapping, e.g. after the gateway lost its state.
+   */
+
+  _remapAll () {
+    if (this._remapping) return this._remapping
+
+    const remap = async () => {
+      for (const mapping of [...this._openPorts]) {
+        if (this._destroyed) return
+        if (await this._refresh(mapping)) this._scheduleRefresh(mapping)
+      }
+    }
+
+    this._remapping = remap().finally(() => {
+      this._remapping = null
+    })
+    return this._remapping
+  }
+
+  _error (err, mapping) {
+    debug('Error:', err.message)
+    // An 'error' event without listeners would throw, so only emit it when handled
+    if (this.listenerCount('error') > 0) this.emit('error', err, mapping)
+  }
+
+  /**
+   * Builds the descriptor of a mapping from what the gateway granted.
+   */
+
+  _mapping (opts, method, lease) {
+    return {
+      externalIp: lease.externalIp || null,
+      externalIpType: classifyAddress(lease.externalIp),
+      publicPort: lease.publicPort,
+      privatePort: opts.privatePort,
+      protocol: opts.protocol,
+      description: opts.description,
+      ttl: lease.ttl,
+      // Permanent leases (ttl 0) never expire
+      expiresAt: lease.ttl ? Date.now() + lease.ttl * 1000 : null,
+      method,
+      gateway: lease.gateway || null,
+      // The gateway forced the public port to match the private one
+      samePortRequired: lease.samePortRequired || false,
+      // Whether the reflector could reach it, null until checked
+      reachable: null
+    }
+  }
+
+  // Mappings behind a second NAT or CGNAT are not reachable from the Internet
+  async _checkReachable (mapping) {
+    if (!this.strict) return
+
+    let message
+    if (mapping.externalIpType === 'private' || mapping.externalIpType === 'cgnat') {
+      message = 'external IP ' + mapping.externalIp + ' is ' +
+        (mapping.externalIpType === 'cgnat' ? 'behind carrier-grade NAT' : 'private (double NAT)') +
+        ', port ' + mapping.publicPort + ' is not reachable from the Internet'
+    } else if (mapping.reachable === false) {
+      message = 'the reflector could not reach port ' + mapping.publicPort + ' from the Internet'
+    } else {
+      return
+    }
+
+    if (this.strict === 'warn') {
+      debug(message)
+      this.emit('unreachable', mapping)
+      return
+    }
+
+    const [success, err] = await this._unmap({ ...mapping })
+    if (!success) debug('failed to remove unreachable mapping: %s', err.message)
+
+    throw new NatError(message, { protocol: mapping.method, gateway: mapping.gateway, code: 'EUNREACHABLE' })
+  }
+
+  async _checkPort (mapping) {
+    let result
+    try {
+      result = await this._reflector.check({
+        port: mapping.publicPort,
+        localPort: mapping.privatePort,
+        protocol: mapping.protocol
+      })
+    } catch (err) {
+      debug('Checking port %d failed: %s', mapping.publicPort, err.message)
+      result = { reachable: null, address: null }
+    }
+
+    mapping.reachable = result.reachable
+    debug('Port %d is %s', mapping.publicPort, result.reachable === null ? 'unchecked' : (result.reachable ? 'reachable' : 'unreachable'))
+    return result
   }
 }
@@ -0,0 +1,111 @@
+/**
+ * Base class of the errors raised by the protocol clients. Carries the
+ * protocol ('pcp', 'pmp' or 'upnp'), the gateway and the raw result code.
+ */
+
+export class NatError extends Error {
+  constructor (message, opts = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.protocol = opts.protocol || null
+    this.gateway = opts.gateway || null
+    this.code = opts.code != null ? opts.code : null
+  }
+}
+
+/**
+ * The gateway did not answer, after all retransmissions.
+ */
+
+export class NatTimeoutError extends NatError {
+  constructor (message, opts = {}) {
+    super(message || 'request timed out', { code: 'ETIMEDOUT', ...opts })
+  }
+}
+
+/**
+ * No gateway answered the discovery, e.g. SSDP on a network without UPnP.
+ */
+
+export class GatewayNotFoundError extends NatError {
+  constructor (message, opts = {}) {
+    super(message || 'no gateway found', { code: 'ENOTFOUND', ...opts })
+  }
+}
+
+/**
+ * The port is already mapped, to another host or by another mechanism.
+ */
+
+export class MappingConflictError extends NatError {}
+
+/**
+ * The gateway refused the request, e.g. NAT-PMP disabled or an action
+ * reserved to its administrator.
+ */
+
+export class NotAuthorizedError extends NatError {}
+
+/**
+ * The UPnP gateway only accepts permanent leases (error 725), see the
+ * upnpPermanentFallback option.
+ */
+
+export class PermanentLeaseOnlyError extends NatError {}
+
+/**
+ * The gateway has no ports or mapping entries left, or the host exceeded
+ * its quota.
+ */
+
+export class OutOfResourcesError extends NatError {}
+
+/**
+ * The UPnP gateway requires the public and private ports to be the same
+ * (error 724).
+ */
+
+export class SamePortRequiredError extends NatError {}
+
+/**
+ * No protocol could map the port. `errors` holds why each one failed.
+ */
+
+export class MappingFailedError extends NatError {
+  constructor (message, errors = [], opts = {}) {
+    const reasons = errors.map((err) => (err.protocol ? err.protocol + ': ' : '') + err.message)
+    super((message || 'no protocols succeeded') + (reasons.length ? ' (' + reasons.join('; ') + ')' : ''), opts)
+    this.errors = errors
+  }
+}
+
+// Result codes of each protocol with a more specific error class
+const CODES = {
+  pmp: {
+    2: NotAuthorizedError,
+    4: OutOfResourcesError
+  },
+  pcp: {
+    2: NotAuthorizedError,
+    8: OutOfResourcesError,
+    10: OutOfResourcesError,
+    11: MappingConflictError
+  },
+  upnp: {
+    606: NotAuthorizedError,
+    718: MappingConflictError,
+    724: SamePortRequiredError,
+    725: PermanentLeaseOnlyError,
+    728: OutOfResourcesError,
+    729: MappingConflictError
+  }
+}
+
+/**
+ * Error for a result code returned by the gateway.
+ */
+
+export function errorFromCode (message, opts = {}) {
+  const ErrorClass = (CODES[opts.protocol] || {})[opts.code] || NatError
+  return new ErrorClass(message, opts)
+}
@@ -0,0 +1,103 @@
+import os from 'os'
+
+const ipv4ToInt = (ip) => {
+  return ip.split('.').reduce((acc, octet) => ((acc << 8) + parseInt(octet, 10)) >>> 0, 0)
+}
+
+/**
+ * Returns the local IPv4 address on the same subnet as `gateway`, falling
+ * back to the first external IPv4 address of the host.
+ */
+
+export function localAddress (gateway) {
+  const interfaces = os.networkInterfaces()
+  let fallback = null
+
+  for (const key in interfaces) {
+    for (const item of interfaces[key]) {
+      if (item.internal || item.family !== 'IPv4') continue
+      if (!fallback) fallback = item.address
+      if (!gateway || !item.netmask) continue
+
+      const mask = ipv4ToInt(item.netmask)
+      if ((ipv4ToInt(item.address) & mask) === (ipv4ToInt(gateway) & mask)) {
+        return item.address
+      }
+    }
+  }
+
+  return fallback
+}
+
+/**
+ * Classifies an external address: 'public', 'private' (RFC 1918, loopback
+ * and link-local, i.e. behind another NAT), 'cgnat' (100.64.0.0/10, RFC
+ * 6598) or 'unknown' when it is missing or unspecified.
+ */
+
+export function classifyAddress (ip) {
+  if (typeof ip !== 'string' || !ip) return 'unknown'
+
+  if (ip.includes(':')) {
+    if (ip === '::') return 'unknown'
+    if (ip === '::1' || /^f[cd]/i.test(ip) || /^fe[89ab]/i.test(ip)) return 'private'
+    return 'public'
+  }
+
+  if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) return 'unknown'
+
+  const [a, b] = ip.split('.').map(Number)
+  if (a === 0) return 'unknown'
+  if (a === 10 || a === 127) return 'private'
+  if (a === 172 && b >= 16 && b <= 31) return 'private'
+  if (a === 192 && b === 168) return 'private'
+  if (a === 169 && b === 254) return 'private'
+  if (a === 100 && b >= 64 && b <= 127) return 'cgnat'
+  return 'public'
+}
+
+/**
+ * Returns a global unicast IPv6 address of the host, or null. Pinholes
+ * need an address that is reachable from outside the home network.
+ */
+
+export function globalIPv6 () {
+  const interfaces = os.networkInterfaces()
+  let fallback = null
+
+  for (const key in interfaces) {
+    for (const item of interfaces[key]) {
+      if (item.internal || item.family !== 'IPv6' || item.scopeid) continue
+
+      // Global unicast is 2000::/3, fall back to e.g. unique local addresses
+      if (/^[23]/.test(item.address)) return item.address
+      if (!/^fe[89ab]/i.test(item.address) && !fallback) fallback = item.address
+    }
+  }
+
+  return fallback
+}
+
+/**
+ * Encodes an IPv4 address as an IPv4-mapped IPv6 address (::ffff:a.b.c.d).
+ */
+
+export function toMappedIPv6 (ip) {
+  const buf = Buffer.alloc(16)
+  buf.writeUInt16BE(0xffff, 10)
+  buf.writeUInt32BE(ipv4ToInt(ip || '0.0.0.0'), 12)
+  return buf
+}
+
+/**
+ * Decodes a 16 byte address. IPv4-mapped addresses are returned as IPv4.
+ */
+
+export function fromMappedIPv6 (buf) {
+  const mapped = buf.slice(0, 10).every((byte) => byte === 0) && buf.readUInt16BE(10) === 0xffff
+  if (mapped) return Array.from(buf.slice(12, 16)).join('.')
+
+  const groups = []
+  for (let i = 0; i < 16; i += 2) groups.push(buf.readUInt16BE(i).toString(16))
+  return groups.join(':')
+}
@@ -0,0 +1,221 @@
+import crypto from 'crypto'
+import Debug from 'debug'
+import PMPClient from '../pmp/index.js'
+import { localAddress, toMappedIPv6, fromMappedIPv6 } from '../network.js'
+import { errorFromCode } from '../errors.js'
+
+const debug = Debug('nat-pcp')
+
+// Version defined by RFC 6887
+const VERSION = 2
+
+// Opcodes
+const OP_MAP = 1
+const OP_PEER = 2
+const RESPONSE_BIT = 128
+
+// IANA protocol numbers
+const PROTOCOLS = {
+  tcp: 6,
+  udp: 17
+}
+
+// Result codes
+const UNSUPP_VERSION = 1
+const RESULT_CODES = {
+  0: 'Success',
+  1: 'Unsupported Version',
+  2: 'Not Authorized/Refused',
+  3: 'Malformed Request',
+  4: 'Unsupported opcode',
+  5: 'Unsupported option',
+  6: 'Malformed option',
+  7: 'Network Failure',
+  8: 'No Resources',
+  9: 'Unsupported protocol',
+  10: 'User exceeded quota',
+  11: 'Cannot provide external address',
+  12: 'Address mismatch',
+  13: 'Excessive remote peers'
+}
+
+export default class Client extends PMPClient {
+  /**
+  * opts:
+  *  - localAddress: address sent as the PCP client address (default = the
+  *    local address on the gateway's subnet)
+  *  - initialTimeout, maxAttempts: see the NAT-PMP client
+  **/
+  constructor (gateway, opts = {}) {
+    super(gateway, opts)
+
+    this.protocol = 'pcp'
+    this.localAddress = opts.localAddress || localAddress(gateway)
+
+    // null until the server answered, false once it replied UNSUPP_VERSION
+    this.supported = null
+
+    // Mapping nonces, renewals and deletions must reuse the original one
+    this._nonces = {}
+  }
+
+  async portMapping (opts) {
+    debug('Client#portMapping()')
+    return this._request(OP_MAP, opts)
+  }
+
+  async portUnmapping (opts) {
+    debug('Client#portUnmapping()')
+    const res = await this._request(OP_MAP, { ...opts, ttl: 0 })
+    delete this._nonces[this._nonceKey(OP_MAP, opts)]
+    return res
+  }
+
+  async peerMapping (opts) {
+    debug('Client#peerMapping()')
+    return this._request(OP_PEER, opts)
+  }
+
+  async peerUnmapping (opts) {
+    debug('Client#peerUnmapping()')
+    const res = await this._request(OP_PEER, { ...opts, ttl: 0 })
+    delete this._nonces[this._nonceKey(OP_PEER, opts)]
+    return res
+  }
+
+  async externalIp () {
+    throw new Error('PCP has no external address request')
+  }
+
+  /**
+   * PCP responses are sent back to the source port, so any port will do.
+   */
+
+  _bindPort () {
+    return 0
+  }
+
+  /**
+   * Announcements go to port 5350, which the NAT-PMP client listens on.
+   */
+
+  _joinMulticast () {}
+
+  _onAnnouncement () {
+    return false
+  }
+
+  _nonceKey (op, obj) {
+    const type = String(obj.type || 'tcp').toLowerCase()
+    const internal = +(obj.private || obj.internal || 0)
+    if (op === OP_PEER) return [op, type, internal, obj.remoteHost, obj.remotePort].join(':')
+    return [op, type, internal].join(':')
+  }
+
+  _encode (op, obj) {
+    if (op !== OP_MAP && op !== OP_PEER) throw new Error('Invalid opcode: ' + op)
+    if (!obj) throw new Error('mapping a port requires an "options" object')
+
+    const protocol = PROTOCOLS[String(obj.type || 'tcp').toLowerCase()]
+    if (!protocol) throw new Error('"type" must be either "tcp" or "udp"')
+
+    const internal = +(obj.private || obj.internal || 0)
+    if (internal !== (internal | 0) || internal < 0) {
+      throw new Error('the "private" port must be a whole integer >= 0')
+    }
+
+    const external = +(obj.public || obj.external || 0)
+    if (external !== (external | 0) || external < 0) {
+      throw new Error('the "public" port must be a whole integer >= 0')
+    }
+
+    let ttl = +(obj.ttl)
+    if (ttl !== (ttl | 0)) ttl = 7200
+
+    const key = this._nonceKey(op, obj)
+    const nonce = this._nonces[key] || crypto.randomBytes(12)
+    this._nonces[key] = nonce
+
+    const buf = Buffer.alloc(op === OP_PEER ? 80 : 60)
+
+    // Common request header
+    buf.writeUInt8(VERSION, 0)
+    buf.writeUInt8(op, 1)
+    buf.writeUInt32BE(ttl, 4) // Requested Lifetime
+    toMappedIPv6(this.localAddress).copy(buf, 8) // PCP Client's IP Address
+
+    // MAP and PEER opcode-specific information
+    nonce.copy(buf, 24)
+    buf.writeUInt8(protocol, 36)
+    buf.writeUInt16BE(internal, 40) // Internal Port
+    buf.writeUInt16BE(external, 42) // Suggested External Port
+    toMappedIPv6(obj.externalIp).copy(buf, 44) // Suggested External IP Address
+
+    if (op === OP_PEER) {
+      if (!obj.remoteHost || !obj.remotePort) {
+        throw new Error('a peer mapping requires "remoteHost" and "remotePort"')
+      }
+      buf.writeUInt16BE(+obj.remotePort, 60) // Remote Peer Port
+      toMappedIPv6(obj.remoteHost).copy(buf, 64) // Remote Peer IP Address
+    }
+
+    return { buf, nonce }
+  }
+
+  _matches (msg, req) {
+    const op = msg.readUInt8(1)
+    if (!(op & RESPONSE_BIT) || (op & ~RESPONSE_BIT) !== req.op) return false
+
+    // Responses carrying a mapping must echo the request nonce
+    if (msg.readUInt8(0) === VERSION && msg.length >= 36) {
+      return msg.slice(24, 36).equals(req.nonce)
+    }
+    return true
+  }
+
+  _decode (msg, req) {
+    const parsed = { msg }
+    parsed.vers = msg.readUInt8(0)
+    parsed.op = msg.readUInt8(1) & ~RESPONSE_BIT
+
+    // NAT-PMP servers reply with version 0 and result code 1 (UNSUPP_VERSION)
+    parsed.resultCode = msg.readUInt8(3)
+    if (parsed.vers !== VERSION || parsed.resultCode === UNSUPP_VERSION) {
+      this.supported = false
+      throw errorFromCode(RESULT_CODES[UNSUPP_VERSION] + ': server speaks version ' + parsed.vers, {
+        protocol: this.protocol,
+        gateway: this.gateway,
+        code: UNSUPP_VERSION
+      })
+    }
+
+    parsed.resultMessage = RESULT_CODES[parsed.resultCode]
+    parsed.ttl = msg.readUInt32BE(4)
+    parsed.epoch = msg.readUInt32BE(8)
+
+    // Error
+    if (parsed.resultCode !== 0) {
+      throw errorFromCode(parsed.resultMessage || 'Unknown result code ' + parsed.resultCode, {
+        protocol: this.protocol,
+        gateway: this.gateway,
+        code: parsed.resultCode
+      })
+    }
+
+    this.supported = true
+
+    // Success
+    parsed.nonce = msg.slice(24, 36)
+    parsed.type = msg.readUInt8(36) === PROTOCOLS.udp ? 'udp' : 'tcp'
+    parsed.private = parsed.internal = msg.readUInt16BE(40)
+    parsed.public = parsed.external = msg.readUInt16BE(42)
+    parsed.ip = fromMappedIPv6(msg.slice(44, 60))
+
+    if (req.op === OP_PEER) {
+      parsed.remotePort = msg.readUInt16BE(60)
+      parsed.remoteHost = fromMappedIPv6(msg.slice(64, 80))
+    }
+
+    return parsed
+  }
+}
@@ -1,6 +1,7 @@
 import dgram from 'dgram'
 import Debug from 'debug'
 import { EventEmitter } from 'events'
+import { NatTimeoutError, errorFromCode } from '../errors.js'
 
 const debug = Debug('nat-pmp')
 
@@ -8,6 +9,9 @@ const debug = Debug('nat-pmp')
 const CLIENT_PORT = 5350
 const SERVER_PORT = 5351
 
+// Gateways announce external address changes to the all-hosts group
+const MULTICAST_ADDRESS = '224.0.0.1'
+
 // Opcodes
 const OP_EXTERNAL_IP = 0
 const OP_MAP_UDP = 1
@@ -25,25 +29,39 @@ const RESULT_CODES = {
 }
 
 export default class Client extends EventEmitter {
-  constructor (gateway) {
+  /**
+  * opts:
+  *  - initialTimeout: first retransmission timeout in ms (default = 250)
+  *  - maxAttempts: transmissions before a request times out (default = 9)
+  *  - port: local port, 0 for any (default = 5350). Only one socket receives
+  *    the unicast responses sent to a shared port, and only 5350 receives
+  *    the gateway's address announcements
+  **/
+  constructor (gateway, opts = {}) {
     super()
 
     if (!gateway) throw new Error('gateway is not defined')
 
     this.gateway = gateway
+    this.protocol = 'pmp'
 
+    // RFC 6886 3.1: retransmit after 250ms, doubling the interval each time
+    this.initialTimeout = opts.initialTimeout || 250
+    this.maxAttempts = opts.maxAttempts || 9
+    this.port = opts.port != null ? opts.port : CLIENT_PORT
+
+    this._closed = false
     this._queue = []
     this._connecting = false
     this._listening = false
     this._req = null
     this._reqActive = false
 
+    // Last seen epoch, to detect gateway restarts
+    this._epoch = null
+
     // Create socket
-    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
-    this.socket.on('listening', this.onListening.bind(this))
-    this.socket.on('message', this.onMessage.bind(this))
-    this.socket.on('close', this.onClose.bind(this))
-    this.socket.on('error', this.onError.bind(this))
+    this._createSocket()
 
     // Try to connect
     this.connect()
@@ -52,8 +70,31 @@ export default class Client extends EventEmitter {
   connect () {
     debug('Client#connect()')
     if (this._connecting) return
+    // The socket is dropped after an error, so create a new one
+    if (!this.socket) this._createSocket()
     this._connecting = true
-    this.socket.bind(CLIENT_PORT)
+    this.socket.bind(this._bindPort())
+  }
+
+  _createSocket () {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
+    socket.on('listening', this.onListening.bind(this))
+    socket.on('message', this.onMessage.bind(this))
+    socket.on('close', () => {
+      // Ignore a late 'close' from a socket that was already replaced
+      if (this.socket === socket) this.onClose()
+    })
+    socket.on('error', this.onError.bind(this))
+    this.socket = socket
+  }
+
+  /**
+   * Local port the socket binds to. NAT-PMP responses are sent back to the
+   * source port, announcements to 5350.
+   */
+
+  _bindPort () {
+    return this.port
   }
 
   async portMapping (opts) {
@@ -90,6 +131,9 @@ export default class Client extends EventEmitter {
 
   async close () {
     debug('Client#close()')
+    this._closed = true
+    this._rejectAll(new Error('client is closed'))
+
     if (this.socket) {
       await new Promise(resolve => {
         try {
@@ -117,73 +161,88 @@ export default class Client extends EventEmitter {
     return new Promise((resolve, reject) => {
       debug('Client#request()', [op, obj])
 
-      let buf
-      let size
-      let pos = 0
-
-      let internal
-      let external
-      let ttl
-
-      switch (op) {
-        case OP_MAP_UDP:
-        case OP_MAP_TCP:
-          if (!obj) reject(new Error('mapping a port requires an "options" object'))
-
-          internal = +(obj.private || obj.internal || 0)
-          if (internal !== (internal | 0) || internal < 0) {
-            reject(new Error('the "private" port must be a whole integer >= 0'))
-          }
-
-          external = +(obj.public || obj.external || 0)
-          if (external !== (external | 0) || external < 0) {
-            reject(new Error('the "public" port must be a whole integer >= 0'))
-          }
-
-          ttl = +(obj.ttl)
-          if (ttl !== (ttl | 0)) {
-            // The RECOMMENDED Port Mapping Lifetime is 7200 seconds (two hours)
-            ttl = 7200
-          }
-
-          size = 12
-          buf = Buffer.alloc(size)
-          buf.writeUInt8(0, pos)
-          pos++ // Vers = 0
-          buf.writeUInt8(op, pos)
-          pos++ // OP = x
-          buf.writeUInt16BE(0, pos)
-          pos += 2 // Reserved (MUST be zero)
-          buf.writeUInt16BE(internal, pos)
-          pos += 2 // Internal Port
-          buf.writeUInt16BE(external, pos)
-          pos += 2 // Requested External Port
-          buf.writeUInt32BE(ttl, pos)
-          pos += 4 // Requested Port Mapping Lifetime in Seconds
-          break
-        case OP_EXTERNAL_IP:
-          size = 2
-          buf = Buffer.alloc(size)
-          // Vers = 0
-          buf.writeUInt8(0, 0)
-          pos++
-          // OP = x
-          buf.writeUInt8(op, 1)
-          pos++
-          break
-        default:
-          throw new Error('Invalid opcode: ', op)
+      let req
+      try {
+        req = this._encode(op, obj)
+      } catch (err) {
+        return reject(err)
       }
-      // assert.equal(pos, size, 'buffer not fully written!')
 
       // Add it to queue
-      this._queue.push({ buf, resolve, reject, op })
+      this._queue.push({ ...req, resolve, reject, op, attempts: 0, timer: null })
 
       // Try to send next message
       this._next()
     })
   }
 
+  /**
+   * Builds the request packet for an opcode. Returns the queue entry fields.
+   */
+
+  _encode (op, obj) {
+    let buf
+    let size
+    let pos = 0
+
+    let internal
+    let external
+    let ttl
+
+    switch (op) {
+      case OP_MAP_UDP:
+      case OP_MAP_TCP:
+        if (!obj) throw new Error('mapping a port requires an "options" object')
+
+        internal = +(obj.private || obj.internal || 0)
+        if (internal !== (internal | 0) || internal < 0) {
+          throw new Error('the "private" port must be a whole integer >= 0')
+        }
+
+        external = +(obj.public || obj.external || 0)
+        if (external !== (external | 0) || external < 0) {
+          throw new Error('the "public" port must be a whole integer >= 0')
+        }
+
+        ttl = +(obj.ttl)
+        if (ttl !== (ttl | 0)) {
+          // The RECOMMENDED Port Mapping Lifetime is 7200 seconds (two hours)
+          ttl = 7200
+        }
+
+        size = 12
+        buf = Buffer.alloc(size)
+        buf.writeUInt8(0, pos)
+        pos++ // Vers = 0
+        buf.writeUInt8(op, pos)
+        pos++ // OP = x
+        buf.writeUInt16BE(0, pos)
+        pos += 2 // Reserved (MUST be zero)
+        buf.writeUInt16BE(internal, pos)
+        pos += 2 // Internal Port
+        buf.writeUInt16BE(external, pos)
+        pos += 2 // Requested External Port
+        buf.writeUInt32BE(ttl, pos)
+        pos += 4 // Requested Port Mapping Lifetime in Seconds
+        break
+      case OP_EXTERNAL_IP:
+        size = 2
+        buf = Buffer.alloc(size)
+        // Vers = 0
+        buf.writeUInt8(0, 0)
+        pos++
+        // OP = x
+        buf.writeUInt8(op, 1)
+        pos++
+        break
+      default:
+        throw new Error('Invalid opcode: ' + op)
+    }
+    // assert.equal(pos, size, 'buffer not fully written!')
+
+    return { buf, internal }
+  }
+
   /**
    * Processes the next request if the socket is listening.
    */
@@ -197,7 +256,7 @@ export default class Client extends EventEmitter {
       debug('_next: nothing to process')
       return
     }
-    if (!this.socket) {
+    if (this._closed) {
       debug('_next: client is closed')
       return
     }
@@ -214,10 +273,67 @@ export default class Client extends EventEmitter {
     this._reqActive = true
     this._req = req
 
+    this._send(req)
+  }
+
+  /**
+   * Sends the active request and arms its retransmission timer.
+   */
+
+  _send (req) {
     const buf = req.buf
+    const timeout = this.initialTimeout * Math.pow(2, req.attempts)
+    req.attempts++
 
-    debug('_next: sending request', buf, this.gateway)
+    debug('_send: sending request (attempt %d)', req.attempts, buf, this.gateway)
     this.socket.send(buf, 0, buf.length, SERVER_PORT, this.gateway)
+
+    req.timer = setTimeout(() => {
+      if (this._req !== req) return
+
+      if (req.attempts < this.maxAttempts && this.socket) return this._send(req)
+
+      debug('_send: request timed out after %d attempts', req.attempts)
+      this._queue.shift()
+      this._finish(req, new NatTimeoutError('no response from ' + this.gateway + ' after ' + req.attempts + ' attempts', {
+        protocol: this.protocol,
+        gateway: this.gateway
+      }))
+    }, timeout)
+    req.timer.unref?.()
+  }
+
+  /**
+   * Settles a request that was taken off the queue and moves on to the next.
+   */
+
+  _finish (req, err, ...args) {
+    clearTimeout(req.timer)
+    if (this._req === req) {
+      this._req = null
+      this._reqActive = false
+    }
+
+    if (err) {
+      req.reject.call(this, err)
+    } else {
+      req.resolve.apply(this, args)
+    }
+
+    // Try to send next message
+    this._next()
+  }
+
+  _rejectAll (err) {
+    const queue = this._queue
+    this._queue = []
+    this._req = null
+    this._reqActive = false
+
+    for (const req of queue) {
+      clearTimeout(req.timer)
+      req.reject.call(this, err)
+    }
   }
 
   onListening () {
@@ -225,41 +341,64 @@ export default class Client extends EventEmitter {
     this._listening = true
     this._connecting = false
 
+    this._joinMulticast()
+
     // Try to send next message
     this._next()
   }
 
+  /**
+   * Joins the group the gateway sends its address announcements to.
+   */
+
+  _joinMulticast () {
+    if (this._bindPort() !== CLIENT_PORT) return
+    try {
+      this.socket.addMembership(MULTICAST_ADDRESS)
+    } catch (err) {
+      debug('Could not join multicast group %s', MULTICAST_ADDRESS, err.message)
+    }
+  }
+
+  /**
+   * Handles an unsolicited external address announcement, sent after the
+   * gateway's WAN address changed. Returns false if `msg` is not one.
+   */
+
+  _onAnnouncement (msg, rinfo) {
+    if (rinfo.address !== this.gateway) return false
+    if (msg.length < 12 || msg.readUInt8(0) !== 0) return false
+    if (msg.readUInt8(1) !== SERVER_DELTA + OP_EXTERNAL_IP) return false
+
+    // A pending external IP request takes the packet as its response
+    const req = this._queue[0]
+    if (req && req.op === OP_EXTERNAL_IP) return false
+
+    if (msg.readUInt16BE(2) !== 0) return true
+
+    const epoch = msg.readUInt32BE(4)
+    const ip = [msg.readUInt8(8), msg.readUInt8(9), msg.readUInt8(10), msg.readUInt8(11)].join('.')
+    debug('Client#_onAnnouncement()', ip, epoch)
+
+    this._checkEpoch(epoch)
+    this.emit('external-ip', { ip, epoch })
+    return true
+  }
+
   onMessage (msg, rinfo) {
+    if (this._onAnnouncement(msg, rinfo)) return
+
     // Ignore message if we're not expecting it
     if (this._queue.length === 0) return
 
     debug('Client#onMessage()', [msg, rinfo])
 
-    const cb = (err, ...args) => {
-      this._req = null
-      this._reqActive = false
-
-      if (err) {
-        if (req.reject) {
-          req.reject.call(this, err)
-        } else {
-          this.emit('error', err)
-        }
-      } else if (req.resolve) {
-        req.resolve.apply(this, args)
-      }
-
-      // Try to send next message
-      this._next()
-    }
+    const cb = (err, ...args) => this._finish(req, err, ...args)
 
     const req = this._queue[0]
-    const parsed = { msg }
-    parsed.vers = msg.readUInt8(0)
-    parsed.op = msg.readUInt8(1)
 
-    if (parsed.op - SERVER_DELTA !== req.op) {
-      debug('WARN: ignoring unexpected message opcode', parsed.op)
+    if (!this._matches(msg, req)) {
+      debug('WARN: ignoring unexpected message opcode', msg.readUInt8(1))
       return
     }
 
@@ -268,9 +407,69 @@ export default class Client extends EventEmitter {
     debug('removing "req" off of the queue')
     this._queue.shift()
 
+    let parsed
+    try {
+      parsed = this._decode(msg, req)
+    } catch (err) {
+      return cb(err)
+    }
+
+    if (parsed.epoch != null) this._checkEpoch(parsed.epoch)
+
+    cb(null, parsed)
+  }
+
+  /**
+   * Tracks the gateway's seconds since start of epoch. A value that goes
+   * backwards, or drifts from our own clock, means the gateway restarted
+   * and lost its mappings (RFC 6886 section 3.6, RFC 6887 section 8.5).
+   */
+
+  _checkEpoch (epoch) {
+    const now = Date.now() / 1000
+    const previous = this._epoch
+    this._epoch = { server: epoch, client: now }
+
+    if (!previous) return
+
+    const serverDelta = epoch - previous.server
+    const clientDelta = now - previous.client
+
+    if (
+      epoch < previous.server - 1 ||
+      clientDelta + 2 < serverDelta - serverDelta / 16 ||
+      serverDelta + 2 < clientDelta - clientDelta / 16
+    ) {
+      debug('gateway epoch went from %d to %d, it lost its mappings', previous.server, epoch)
+      this.emit('reset', { epoch, previous: previous.server })
+    }
+  }
+
+  /**
+   * Whether a response packet answers the given queued request.
+   */
+
+  _matches (msg, req) {
+    if (msg.readUInt8(1) - SERVER_DELTA !== req.op) return false
+
+    // A late answer to a timed out mapping request must not settle this one
+    if (req.op !== OP_EXTERNAL_IP && msg.length >= 10 && msg.readUInt16BE(2) === 0) {
+      return msg.readUInt16BE(8) === req.internal
+    }
+    return true
+  }
+
+  /**
+   * Parses a response packet. Throws on a non-zero result code.
+   */
+
+  _decode (msg, req) {
+    const parsed = { msg }
+    parsed.vers = msg.readUInt8(0)
+    parsed.op = msg.readUInt8(1)
+
     if (parsed.vers !== 0) {
-      cb(new Error('"vers" must be 0. Got: ' + parsed.vers))
-      return
+      throw new Error('"vers" must be 0. Got: ' + parsed.vers)
     }
 
     // Common fields
@@ -280,9 +479,11 @@ export default class Client extends EventEmitter {
 
     // Error
     if (parsed.resultCode !== 0) {
-      const err = new Error(parsed.resultMessage)
-      err.code = parsed.resultCode
-      return cb(err)
+      throw errorFromCode(parsed.resultMessage || 'Unknown result code ' + parsed.resultCode, {
+        protocol: this.protocol,
+        gateway: this.gateway,
+        code: parsed.resultCode
+      })
     }
 
     // Success
@@ -302,10 +503,10 @@ export default class Client extends EventEmitter {
         parsed.ip.push(msg.readUInt8(11))
         break
       default:
-        return cb(new Error('Unknown opcode: ' + req.op))
+        throw new Error('Unknown opcode: ' + req.op)
     }
 
-    cb(null, parsed)
+    return parsed
   }
 
   onClose () {
@@ -317,8 +518,9 @@ export default class Client extends EventEmitter {
 
   onError (err) {
     debug('Client#onError()', [err])
-    if (this._req && this._req.cb) {
-      this._req.cb(err)
+    if (this._queue.length > 0) {
+      // The socket is gone, fail the queued requests. Later ones reconnect.
+      this._rejectAll(err)
     } else {
       this.emit('error', err)
     }
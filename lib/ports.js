@@ -0,0 +1,20 @@
+/**
+ * Mapping options for every port from `from` to `to`, inclusive, for
+ * NatAPI#mapMany(). `opts.privatePort` is the private port of the first
+ * one (default = the same ports), other options are copied as is.
+ */
+
+export function portRange (from, to, opts = {}) {
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to > 65535 || from > to) {
+    throw new Error('port range is invalid')
+  }
+
+  const offset = opts.privatePort ? opts.privatePort - from : 0
+  if (to + offset > 65535 || from + offset < 1) throw new Error('port range is invalid')
+
+  const ports = []
+  for (let port = from; port <= to; port++) {
+    ports.push({ ...opts, publicPort: port, privatePort: port + offset })
+  }
+  return ports
+}
@@ -0,0 +1,241 @@
+import crypto from 'crypto'
+import dgram from 'dgram'
+import net from 'net'
+import Debug from 'debug'
+
+const debug = Debug('nat-api:reflector')
+
+/**
+ * Reflector protocol: the client opens a TCP connection to the reflector and
+ * sends one JSON line, { protocol, port, token }. The reflector connects back
+ * (TCP) or sends a datagram (UDP) carrying the token to the port on the
+ * address the request came from, then answers { ok, address } and closes.
+ * It only ever connects back to the requester, so it cannot be used to
+ * probe other hosts.
+ */
+
+const readLine = (socket, timeout) => {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    const timer = setTimeout(() => done(new Error('reflector timed out')), timeout)
+
+    const done = (err, line) => {
+      clearTimeout(timer)
+      socket.removeListener('data', onData)
+      socket.removeListener('error', done)
+      socket.removeListener('end', onEnd)
+      if (err) reject(err)
+      else resolve(line)
+    }
+    const onData = (chunk) => {
+      data += chunk
+      // Requests are tiny, anything longer is not one
+      if (data.length > 1024) return done(new Error('line too long'))
+      const index = data.indexOf('\n')
+      if (index !== -1) done(null, data.slice(0, index))
+    }
+    const onEnd = () => done(new Error('connection closed'))
+
+    socket.setEncoding('utf8')
+    socket.on('data', onData)
+    socket.on('error', done)
+    socket.on('end', onEnd)
+  })
+}
+
+const toIPv4 = (address) => address.replace(/^::ffff:/, '')
+
+export class ReflectorServer {
+  /**
+  * opts:
+  *  - timeout: how long to wait for a request, and to connect back, in ms
+  *    (default = 3000)
+  **/
+  constructor (opts = {}) {
+    this.timeout = opts.timeout || 3000
+
+    this._server = net.createServer((socket) => this._onConnection(socket))
+    this._udp = dgram.createSocket('udp4')
+  }
+
+  /**
+   * Listens on `port` for the TCP requests, and sends the UDP replies from
+   * the same port. Resolves to the bound address.
+   */
+
+  async listen (port = 0, host) {
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject)
+      this._server.listen(port, host, () => {
+        this._server.removeListener('error', reject)
+        resolve()
+      })
+    })
+
+    const address = this._server.address()
+    await new Promise((resolve, reject) => {
+      this._udp.once('error', reject)
+      this._udp.bind(address.port, host, () => {
+        this._udp.removeListener('error', reject)
+        resolve()
+      })
+    })
+
+    return address
+  }
+
+  async close () {
+    await new Promise((resolve) => this._server.close(() => resolve()))
+    await new Promise((resolve) => this._udp.close(() => resolve()))
+  }
+
+  async _onConnection (socket) {
+    socket.on('error', (err) => debug('connection error: %s', err.message))
+
+    let request
+    try {
+      request = JSON.parse(await readLine(socket, this.timeout))
+    } catch (err) {
+      debug('invalid request: %s', err.message)
+      return socket.destroy()
+    }
+
+    const address = toIPv4(socket.remoteAddress)
+    const port = Number(request.port)
+    const token = String(request.token || '')
+    if (!Number.isInteger(port) || port < 1 || port > 65535 || !/^[0-9a-f]{1,64}$/.test(token)) {
+      return socket.end(JSON.stringify({ ok: false, address, error: 'invalid request' }) + '\n')
+    }
+
+    let ok = false
+    try {
+      if (String(request.protocol).toLowerCase() === 'udp') {
+        await this._sendUdp(address, port, token)
+      } else {
+        await this._connectTcp(address, port, token)
+      }
+      ok = true
+    } catch (err) {
+      debug('reflecting to %s:%d failed: %s', address, port, err.message)
+    }
+
+    socket.end(JSON.stringify({ ok, address }) + '\n')
+  }
+
+  _connectTcp (address, port, token) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: address, port })
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error('connect timed out')))
+      socket.on('error', reject)
+      socket.on('connect', () => {
+        socket.end(token + '\n', resolve)
+      })
+    })
+  }
+
+  _sendUdp (address, port, token) {
+    return new Promise((resolve, reject) => {
+      this._udp.send(Buffer.from(token), port, address, (err) => {
+        if (err) reject(err)
+        else resolve()
+      })
+    })
+  }
+}
+
+export class ReflectorClient {
+  /**
+  * opts: 'host:port', or an object with
+  *  - host, port: address of the reflector
+  *  - timeout: how long to wait for the reflector, in ms (default = 5000)
+  **/
+  constructor (opts) {
+    if (typeof opts === 'string') {
+      const index = opts.lastIndexOf(':')
+      opts = { host: opts.slice(0, index), port: Number(opts.slice(index + 1)) }
+    }
+    if (!opts || !opts.host || !opts.port) throw new Error('reflector address is invalid')
+
+    this.host = opts.host
+    this.port = opts.port
+    this.timeout = opts.timeout || 5000
+  }
+
+  /**
+   * Asks the reflector to reach `port` on our external address, and listens
+   * on `localPort` (default = `port`) for it. When the local port is
+   * already in use, TCP falls back to whether the reflector could connect,
+   * and UDP cannot be checked (reachable = null).
+   *
+   * Resolves to { reachable, address }, address being the external address
+   * the reflector saw.
+   */
+
+  async check (opts) {
+    const protocol = String(opts.protocol || 'tcp').toLowerCase()
+    const localPort = opts.localPort || opts.port
+    const token = crypto.randomBytes(8).toString('hex')
+
+    const listener = await this._listen(protocol, localPort, token)
+    try {
+      const reply = await this._request({ protocol, port: opts.port, token })
+
+      if (!listener) {
+        return { reachable: protocol === 'tcp' ? reply.ok : null, address: reply.address || null }
+      }
+
+      // The token may still be on its way when the reply comes in
+      let timer
+      const received = reply.ok && await Promise.race([
+        listener.received,
+        new Promise((resolve) => { timer = setTimeout(() => resolve(false), this.timeout) })
+      ])
+      clearTimeout(timer)
+      return { reachable: !!received, address: reply.address || null }
+    } finally {
+      if (listener) listener.close()
+    }
+  }
+
+  async _request (request) {
+    const socket = net.connect({ host: this.host, port: this.port })
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve)
+        socket.once('error', reject)
+      })
+      socket.write(JSON.stringify(request) + '\n')
+      return JSON.parse(await readLine(socket, this.timeout))
+    } finally {
+      socket.destroy()
+    }
+  }
+
+  // Resolves to null when the port is taken, e.g. by the mapped service
+  _listen (protocol, port, token) {
+    return new Promise((resolve, reject) => {
+      let onToken
+      const received = new Promise((resolve) => { onToken = resolve })
+      const socket = protocol === 'udp'
+        ? dgram.createSocket('udp4', (msg) => {
+          if (msg.toString() === token) onToken(true)
+        })
+        : net.createServer((conn) => {
+          conn.on('error', () => {})
+          readLine(conn, this.timeout).then((line) => {
+            if (line === token) onToken(true)
+          }, () => {}).finally(() => conn.destroy())
+        })
+
+      socket.once('error', (err) => {
+        if (err.code !== 'EADDRINUSE') return reject(err)
+        debug('port %d is in use, relying on the reflector', port)
+        resolve(null)
+      })
+
+      const onListening = () => resolve({ received, close: () => socket.close() })
+      if (protocol === 'udp') socket.bind(port, onListening)
+      else socket.listen(port, onListening)
+    })
+  }
+}
@@ -0,0 +1,97 @@
+import Debug from 'debug'
+
+const debug = Debug('nat-api:scheduler')
+
+/**
+ * Renews leases at half of their granted lifetime, as recommended by
+ * RFC 6886, and retries failed renewals with exponential backoff.
+ */
+
+export default class Scheduler {
+  /**
+  * opts:
+  *  - retryDelay: first retry delay in ms (default = 5000)
+  *  - maxRetryDelay: upper bound of the retry delay in ms (default = 300000)
+  *  - minDelay: shortest delay between renewals in ms (default = 1000)
+  *  - setTimeout, clearTimeout: timer functions, replaceable for tests
+  **/
+  constructor (opts = {}) {
+    this.retryDelay = opts.retryDelay || 5000
+    this.maxRetryDelay = opts.maxRetryDelay || 5 * 60 * 1000
+    this.minDelay = opts.minDelay || 1000
+
+    this._setTimeout = opts.setTimeout || setTimeout
+    this._clearTimeout = opts.clearTimeout || clearTimeout
+    this._entries = new Map()
+  }
+
+  /**
+   * Schedules `renew` for a lease of `ttl` seconds. `renew` resolves to the
+   * newly granted ttl, or to false (or rejects) when the renewal failed.
+   * Scheduling a key again replaces its previous timer.
+   */
+
+  schedule (key, ttl, renew) {
+    this.cancel(key)
+
+    // Permanent leases never need renewing
+    if (!ttl) return
+
+    const entry = { renew, attempt: 0, timer: null }
+    this._entries.set(key, entry)
+    this._arm(key, entry, this._leaseDelay(ttl))
+  }
+
+  cancel (key) {
+    const entry = this._entries.get(key)
+    if (!entry) return
+
+    this._clearTimeout(entry.timer)
+    this._entries.delete(key)
+  }
+
+  has (key) {
+    return this._entries.has(key)
+  }
+
+  clear () {
+    for (const key of [...this._entries.keys()]) this.cancel(key)
+  }
+
+  _arm (key, entry, delay) {
+    debug('renewing %s in %d ms', key, delay)
+    entry.timer = this._setTimeout(() => this._run(key, entry), delay)
+    if (entry.timer && entry.timer.unref) entry.timer.unref()
+  }
+
+  async _run (key, entry) {
+    let ttl
+    try {
+      ttl = await entry.renew()
+    } catch (err) {
+      debug('renewing %s failed: %s', key, err.message)
+      ttl = false
+    }
+
+    // Cancelled or replaced while renewing
+    if (this._entries.get(key) !== entry) return
+
+    if (ttl === false || ttl == null) {
+      const delay = Math.min(this.retryDelay * Math.pow(2, entry.attempt), this.maxRetryDelay)
+      entry.attempt++
+      this._arm(key, entry, delay)
+      return
+    }
+
+    entry.attempt = 0
+    if (!ttl) {
+      this._entries.delete(key)
+      return
+    }
+    this._arm(key, entry, this._leaseDelay(ttl))
+  }
+
+  _leaseDelay (ttl) {
+    return Math.max(ttl * 1000 / 2, this.minDelay)
+  }
+}
@@ -0,0 +1,38 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Default mapping journal, a JSON file. Custom stores implement the same
+ * two methods:
+ *  - load(): Promise<object[]>, the saved mapping descriptors
+ *  - save(mappings): Promise<void>, replaces the saved descriptors
+ */
+
+export default class FileStore {
+  constructor (file) {
+    if (!file) throw new Error('file is not defined')
+    this.file = file
+  }
+
+  async load () {
+    let text
+    try {
+      text = await fs.promises.readFile(this.file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+
+    const data = JSON.parse(text)
+    return Array.isArray(data.mappings) ? data.mappings : []
+  }
+
+  async save (mappings) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+
+    // Write then rename, so a crash never leaves a truncated journal
+    const tmp = this.file + '.tmp'
+    await fs.promises.writeFile(tmp, JSON.stringify({ version: 1, mappings }, null, 2))
+    await fs.promises.rename(tmp, this.file)
+  }
+}
@@ -0,0 +1,361 @@
+import crypto from 'crypto'
+import dgram from 'dgram'
+import dns from 'dns'
+import os from 'os'
+import Debug from 'debug'
+import { NatError, NatTimeoutError } from './errors.js'
+
+const debug = Debug('nat-stun')
+
+// RFC 5389
+const MAGIC_COOKIE = 0x2112A442
+const BINDING_REQUEST = 0x0001
+const BINDING_SUCCESS = 0x0101
+const BINDING_ERROR = 0x0111
+
+// Attributes
+const MAPPED_ADDRESS = 0x0001
+const CHANGE_REQUEST = 0x0003 // RFC 5780
+const ERROR_CODE = 0x0009
+const XOR_MAPPED_ADDRESS = 0x0020
+const OTHER_ADDRESS = 0x802C // RFC 5780
+
+// CHANGE-REQUEST flags
+const CHANGE_IP = 0x04
+const CHANGE_PORT = 0x02
+
+/**
+ * Encodes a STUN message. `attributes` is a list of [type, value] pairs,
+ * value being a Buffer.
+ */
+
+export function encodeMessage (type, transactionId, attributes = []) {
+  const body = attributes.map(([attr, value]) => {
+    const buf = Buffer.alloc(4 + Math.ceil(value.length / 4) * 4)
+    buf.writeUInt16BE(attr, 0)
+    buf.writeUInt16BE(value.length, 2)
+    value.copy(buf, 4)
+    return buf
+  })
+  const length = body.reduce((sum, buf) => sum + buf.length, 0)
+
+  const header = Buffer.alloc(20)
+  header.writeUInt16BE(type, 0)
+  header.writeUInt16BE(length, 2)
+  header.writeUInt32BE(MAGIC_COOKIE, 4)
+  transactionId.copy(header, 8)
+
+  return Buffer.concat([header, ...body])
+}
+
+/**
+ * Decodes a STUN message, or returns null when it is not one.
+ */
+
+export function decodeMessage (buf) {
+  if (buf.length < 20 || (buf[0] & 0xC0) !== 0) return null
+  if (buf.readUInt32BE(4) !== MAGIC_COOKIE) return null
+
+  const length = buf.readUInt16BE(2)
+  if (buf.length < 20 + length) return null
+
+  const message = {
+    type: buf.readUInt16BE(0),
+    transactionId: buf.slice(8, 20),
+    attributes: new Map()
+  }
+
+  let offset = 20
+  while (offset + 4 <= 20 + length) {
+    const attr = buf.readUInt16BE(offset)
+    const size = buf.readUInt16BE(offset + 2)
+    if (!message.attributes.has(attr)) {
+      message.attributes.set(attr, buf.slice(offset + 4, offset + 4 + size))
+    }
+    offset += 4 + Math.ceil(size / 4) * 4
+  }
+
+  return message
+}
+
+/**
+ * Encodes a (XOR-)MAPPED-ADDRESS style attribute value for an IPv4 address.
+ */
+
+export function encodeAddress (address, port, xor) {
+  const buf = Buffer.alloc(8)
+  buf.writeUInt8(0x01, 1) // IPv4
+  const octets = Buffer.from(address.split('.').map(Number))
+  if (xor) {
+    buf.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2)
+    buf.writeUInt32BE((octets.readUInt32BE(0) ^ MAGIC_COOKIE) >>> 0, 4)
+  } else {
+    buf.writeUInt16BE(port, 2)
+    octets.copy(buf, 4)
+  }
+  return buf
+}
+
+export function decodeAddress (value, xor, transactionId) {
+  if (!value || value.length < 8) return null
+
+  const family = value.readUInt8(1)
+  let port = value.readUInt16BE(2)
+  if (xor) port ^= MAGIC_COOKIE >>> 16
+
+  if (family === 0x01) {
+    let ip = value.readUInt32BE(4)
+    if (xor) ip = (ip ^ MAGIC_COOKIE) >>> 0
+    return { address: [ip >>> 24, (ip >>> 16) & 255, (ip >>> 8) & 255, ip & 255].join('.'), port }
+  }
+
+  if (family === 0x02 && value.length >= 20) {
+    const ip = Buffer.from(value.slice(4, 20))
+    if (xor) {
+      const mask = Buffer.alloc(16)
+      mask.writeUInt32BE(MAGIC_COOKIE, 0)
+      transactionId.copy(mask, 4)
+      for (let i = 0; i < 16; i++) ip[i] ^= mask[i]
+    }
+    const groups = []
+    for (let i = 0; i < 16; i += 2) groups.push(ip.readUInt16BE(i).toString(16))
+    return { address: groups.join(':'), port }
+  }
+
+  return null
+}
+
+/**
+ * STUN client discovering the server-reflexive address (RFC 5389) and
+ * the NAT mapping and filtering behavior (RFC 5780).
+ */
+
+export class StunClient {
+  /**
+  * server: 'host:port' (default port = 3478), or an object with host and
+  * port
+  *
+  * opts:
+  *  - initialTimeout: first retransmission timeout in ms (default = 500)
+  *  - maxAttempts: transmissions before giving up (default = 3)
+  **/
+  constructor (server, opts = {}) {
+    if (typeof server === 'string') {
+      const index = server.lastIndexOf(':')
+      server = index === -1
+        ? { host: server }
+        : { host: server.slice(0, index), port: Number(server.slice(index + 1)) }
+    }
+    if (!server || !server.host) throw new Error('STUN server is invalid')
+
+    this.host = server.host
+    this.port = server.port || 3478
+    this.initialTimeout = opts.initialTimeout || 500
+    this.maxAttempts = opts.maxAttempts || 3
+  }
+
+  /**
+   * Resolves to the server-reflexive { address, port } of a new socket.
+   */
+
+  async mappedAddress () {
+    return this._withSocket(async (session) => {
+      const res = await session.request(await this._server())
+      return { address: res.mapped.address, port: res.mapped.port }
+    })
+  }
+
+  /**
+   * Runs the RFC 5780 tests. Resolves to
+   * { address, port, natted, mapping, filtering }, mapping and filtering
+   * being 'endpoint-independent', 'address-dependent',
+   * 'address-and-port-dependent', or 'unknown' when the server has no
+   * alternate address.
+   */
+
+  async natType () {
+    return this._withSocket(async (session) => {
+      const primary = await this._server()
+
+      // Test I: the mapped address and the server's alternate address
+      const first = await session.request(primary)
+      const result = {
+        address: first.mapped.address,
+        port: first.mapped.port,
+        natted: !this._isLocal(first.mapped, session.port),
+        mapping: 'unknown',
+        filtering: 'unknown'
+      }
+
+      const other = first.other
+      if (!other || other.address === primary.address) {
+        debug('server has no alternate address, behavior tests skipped')
+        return result
+      }
+
+      // Mapping behavior, tests II and III
+      if (!result.natted) {
+        result.mapping = 'endpoint-independent'
+      } else {
+        const second = await session.request({ address: other.address, port: primary.port })
+        if (this._sameAddress(second.mapped, first.mapped)) {
+          result.mapping = 'endpoint-independent'
+        } else {
+          const third = await session.request(other)
+          result.mapping = this._sameAddress(third.mapped, second.mapped)
+            ? 'address-dependent'
+            : 'address-and-port-dependent'
+        }
+      }
+
+      result.filtering = await this._filtering(primary)
+      return result
+    })
+  }
+
+  /**
+   * Filtering behavior: does an answer from another address or port get
+   * through? Runs from a new socket, the mapping tests opened the NAT to
+   * the alternate address on the other one.
+   */
+
+  async _filtering (primary) {
+    return this._withSocket(async (session) => {
+      await session.request(primary)
+
+      if (await session.probe(primary, CHANGE_IP | CHANGE_PORT)) return 'endpoint-independent'
+      if (await session.probe(primary, CHANGE_PORT)) return 'address-dependent'
+      return 'address-and-port-dependent'
+    })
+  }
+
+  async _server () {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(this.host)) return { address: this.host, port: this.port }
+
+    const { address } = await dns.promises.lookup(this.host, { family: 4 })
+    return { address, port: this.port }
+  }
+
+  async _withSocket (fn) {
+    const socket = dgram.createSocket('udp4')
+    const pending = new Map()
+
+    socket.on('message', (msg) => {
+      const message = decodeMessage(msg)
+      if (!message) return
+
+      const key = message.transactionId.toString('hex')
+      const req = pending.get(key)
+      if (req) req.done(null, message)
+    })
+
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject)
+      socket.bind(0, () => {
+        socket.removeListener('error', reject)
+        resolve()
+      })
+    })
+    socket.on('error', (err) => debug('socket error: %s', err.message))
+
+    const send = (target, attributes = []) => {
+      const transactionId = crypto.randomBytes(12)
+      const key = transactionId.toString('hex')
+      const buf = encodeMessage(BINDING_REQUEST, transactionId, attributes)
+
+      return new Promise((resolve, reject) => {
+        let attempts = 0
+        let timer = null
+
+        const req = {
+          done: (err, message) => {
+            clearTimeout(timer)
+            pending.delete(key)
+            if (err) reject(err)
+            else resolve(message)
+          }
+        }
+        pending.set(key, req)
+
+        // Retransmit with a doubling timeout, RFC 5389 section 7.2.1
+        const transmit = () => {
+          if (attempts >= this.maxAttempts) {
+            return req.done(new NatTimeoutError('no response from ' + target.address + ':' + target.port + ' after ' + attempts + ' attempts', {
+              protocol: 'stun',
+              gateway: target.address
+            }))
+          }
+          socket.send(buf, target.port, target.address)
+          timer = setTimeout(transmit, this.initialTimeout * Math.pow(2, attempts++))
+        }
+        transmit()
+      })
+    }
+
+    const session = {
+      port: socket.address().port,
+
+      request: async (target) => {
+        const message = await send(target)
+        return this._parseResponse(message, target)
+      },
+
+      // Whether a response asked to come from elsewhere arrives
+      probe: async (target, flags) => {
+        const value = Buffer.alloc(4)
+        value.writeUInt32BE(flags, 0)
+        try {
+          this._parseResponse(await send(target, [[CHANGE_REQUEST, value]]), target)
+          return true
+        } catch (err) {
+          if (err instanceof NatTimeoutError) return false
+          throw err
+        }
+      }
+    }
+
+    try {
+      return await fn(session)
+    } finally {
+      for (const req of pending.values()) req.done(new Error('socket closed'))
+      socket.close()
+    }
+  }
+
+  _parseResponse (message, target) {
+    if (message.type === BINDING_ERROR) {
+      const value = message.attributes.get(ERROR_CODE)
+      const code = value && value.length >= 4 ? (value.readUInt8(2) & 0x07) * 100 + value.readUInt8(3) : null
+      const reason = value && value.length > 4 ? value.slice(4).toString() : 'error response'
+      throw new NatError(reason, { protocol: 'stun', gateway: target.address, code })
+    }
+    if (message.type !== BINDING_SUCCESS) {
+      throw new NatError('unexpected message type ' + message.type, { protocol: 'stun', gateway: target.address })
+    }
+
+    const transactionId = message.transactionId
+    const mapped = decodeAddress(message.attributes.get(XOR_MAPPED_ADDRESS), true, transactionId) ||
+      decodeAddress(message.attributes.get(MAPPED_ADDRESS), false, transactionId)
+    if (!mapped) throw new NatError('no mapped address returned', { protocol: 'stun', gateway: target.address })
+
+    return {
+      mapped,
+      other: decodeAddress(message.attributes.get(OTHER_ADDRESS), false, transactionId)
+    }
+  }
+
+  _sameAddress (a, b) {
+    return a.address === b.address && a.port === b.port
+  }
+
+  // No NAT when the mapped address is one of ours, with the same port
+  _isLocal (mapped, port) {
+    if (mapped.port !== port) return false
+
+    const interfaces = os.networkInterfaces()
+    for (const key in interfaces) {
+      if (interfaces[key].some((item) => item.address === mapped.address)) return true
+    }
+    return false
+  }
+}
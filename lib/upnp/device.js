@@ -1,7 +1,12 @@
 import fetch from 'cross-fetch-ponyfill'
 import xml2js from 'xml2js'
+import { NatError, errorFromCode } from '../errors.js'
 
 const ERROR_MESSAGES = {
+  401: 'Invalid Action',
+  402: 'Invalid Args',
+  501: 'Action Failed',
+  602: 'Optional Action Not Implemented',
   606: 'Action not authorized',
   714: 'The specified value does not exist in the array',
   715: 'The source IP address cannot be wild-carded',
@@ -13,22 +18,51 @@ const ERROR_MESSAGES = {
   727: 'ExternalPort MUST be a wildcard and cannot be a specific port value',
   728: 'There are not enough free ports available to complete port mapping',
   729: 'Attempted port mapping is not allowed due to conflict with other mechanisms',
-  732: 'The internal port cannot be wild-carded'
+  730: 'No port mapping was found in the specified range',
+  732: 'The internal port cannot be wild-carded',
+  // WANIPv6FirewallControl
+  701: 'There is no more space to create a new pinhole',
+  702: 'The firewall is disabled',
+  703: 'Creation of inbound pinholes is not allowed by the firewall',
+  704: 'The pinhole does not exist',
+  705: 'The protocol is not supported',
+  706: 'The internal port cannot be wild-carded',
+  707: 'The protocol cannot be wild-carded',
+  708: 'The address is not a valid IPv6 address',
+  709: 'No traffic has been received through the pinhole'
 }
 
 export default class Device {
   constructor (opts = {}) {
     this.url = opts.url
+    this.type = opts.type || null
     this.permanentFallback = opts.permanentFallback || false
     this.services = [
       'urn:schemas-upnp-org:service:WANIPConnection:1',
       'urn:schemas-upnp-org:service:WANIPConnection:2',
       'urn:schemas-upnp-org:service:WANPPPConnection:1'
     ]
+    this.firewallServices = [
+      'urn:schemas-upnp-org:service:WANIPv6FirewallControl:1'
+    ]
+
+    // Set once the gateway stopped answering, it must be discovered again
+    this.stale = false
+
+    // Root description and resolved services, fetched once per device
+    this._description = null
+    this._resolved = new Map()
   }
 
-  async run (action, args) {
-    const info = await this._getService(this.services)
+  // Drops the cached description and marks the device stale
+  invalidate () {
+    this.stale = true
+    this._description = null
+    this._resolved.clear()
+  }
+
+  async run (action, args, services = this.services) {
+    const info = await this._getService(services)
 
     const requestBody = '<?xml version="1.0"?>' +
              '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
@@ -37,23 +71,29 @@ export default class Device {
                  '<u:' + action + ' xmlns:u=' + JSON.stringify(info.service) + '>' +
                    args.map((args) => {
                      return '<' + args[0] + '>' +
-                           (args[1] ? args[1] : '') +
+                           (args[1] != null ? args[1] : '') +
                            '</' + args[0] + '>'
                    }).join('') +
                  '</u:' + action + '>' +
                '</s:Body>' +
              '</s:Envelope>'
 
-    const res = await fetch(info.controlURL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/xml; charset="utf-8"',
-        'Content-Length': Buffer.byteLength(requestBody),
-        Connection: 'close',
-        SOAPAction: JSON.stringify(info.service + '#' + action)
-      },
-      body: requestBody
-    })
+    let res
+    try {
+      res = await fetch(info.controlURL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/xml; charset="utf-8"',
+          'Content-Length': Buffer.byteLength(requestBody),
+          Connection: 'close',
+          SOAPAction: JSON.stringify(info.service + '#' + action)
+        },
+        body: requestBody
+      })
+    } catch (err) {
+      this.invalidate()
+      throw err
+    }
 
     const rawBody = await res.text()
 
@@ -68,13 +108,14 @@ export default class Device {
         const errorMessage = ERROR_MESSAGES[errorCode] || `Request failed, status code: ${res.status}, fault string ${faultString}`
         if (errorCode === 725 && this.permanentFallback) {
           args[args.length - 1] = ['NewLeaseDuration', 0]
-          return this.run(action, args)
+          return this.run(action, args, services)
         } else {
-          throw new Error(errorMessage)
+          throw errorFromCode(errorMessage, { protocol: 'upnp', gateway: this._host(), code: errorCode })
         }
       }
     } else if (res.status !== 200) {
-      throw new Error('Request failed: ' + res.status)
+      this.invalidate()
+      throw new NatError('Request failed: ' + res.status, { protocol: 'upnp', gateway: this._host(), code: res.status })
     }
 
     const soapns = this._getNamespace(
@@ -85,8 +126,52 @@ export default class Device {
     return body[soapns + 'Body']
   }
 
+  // Summary of the root description, for diagnostics
+  async describe () {
+    const info = await this._getDescription()
+    const { services, devices } = this._parseDescription(info)
+    const root = devices[0] || {}
+
+    return {
+      deviceType: root.deviceType || null,
+      friendlyName: root.friendlyName || null,
+      manufacturer: root.manufacturer || null,
+      modelName: root.modelName || null,
+      modelNumber: root.modelNumber || null,
+      serviceTypes: services.map((service) => service.serviceType)
+    }
+  }
+
+  // Service type the actions are run against, e.g. WANIPConnection:2
+  async serviceType (types = this.services) {
+    const info = await this._getService(types)
+    return info.service
+  }
+
   async _getService (types) {
-    const info = await this._getXml(this.url)
+    const key = types.join(' ')
+    if (!this._resolved.has(key)) this._resolved.set(key, await this._resolveService(types))
+    return this._resolved.get(key)
+  }
+
+  _host () {
+    return new URL(this.url).hostname
+  }
+
+  async _getDescription () {
+    if (!this._description) {
+      try {
+        this._description = await this._getXml(this.url)
+      } catch (err) {
+        this.invalidate()
+        throw err
+      }
+    }
+    return this._description
+  }
+
+  async _resolveService (types) {
+    const info = await this._getDescription()
 
     const s = this._parseDescription(info).services.filter((service) => {
       return types.indexOf(service.serviceType) !== -1
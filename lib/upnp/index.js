@@ -1,18 +1,62 @@
+import xml2js from 'xml2js'
+import { EventEmitter } from 'events'
 import Ssdp from './ssdp.js'
+import Device from './device.js'
+import { localAddress } from '../network.js'
 
-export default class Client {
+const GATEWAY_DEVICES = [
+  'urn:schemas-upnp-org:device:InternetGatewayDevice:2',
+  'urn:schemas-upnp-org:device:InternetGatewayDevice:1'
+]
+
+// Errors of gateways that do not implement an optional action
+const UNSUPPORTED_ACTION = [401, 602]
+
+// IANA protocol numbers, used by WANIPv6FirewallControl
+const PROTOCOLS = {
+  TCP: 6,
+  UDP: 17
+}
+
+export default class Client extends EventEmitter {
+  /**
+  * opts:
+  *  - permanentFallback: retry with a permanent lease on error 725
+  *  - location: URL of the gateway description, used instead of SSDP
+  *  - cacheTtl: how long a discovered gateway is reused, in ms
+  *    (default = 300000)
+  *
+  * events, once listen() was called: reset when a gateway rebooted or was
+  * replaced, lost when it said byebye or its announcement expired
+  **/
   constructor (opts = {}) {
+    super()
+
     this.permanentFallback = opts.permanentFallback || false
+    this.location = opts.location || null
+    this.cacheTtl = opts.cacheTtl != null ? opts.cacheTtl : 5 * 60 * 1000
     this.ssdp = new Ssdp({ permanentFallback: this.permanentFallback })
     this.timeout = 1800
 
+    // Discovered gateways, so each request does not search again
+    this._cache = new Map()
+    // Searches in progress, shared by concurrent requests
+    this._searching = new Map()
+    this.ssdp.on('_device', (info) => this._onLocation(info))
+
+    // Gateways heard announcing themselves, by device UUID
+    this._announced = new Map()
+    // Gateways that said byebye or expired, their next alive is a restart
+    this._departed = new Map()
+    this.ssdp.on('notify', (info, rinfo) => this._onNotify(info, rinfo))
+
     this._destroyed = false
   }
 
   async portMapping (options) {
     if (this._destroyed) throw new Error('client is destroyed')
 
-    const { gateway, address } = await this.findGateway()
+    const { gateway, address } = await this.findGateway(options.gateway)
 
     const ports = this._normalizeOptions(options)
     const description = options.description || 'node:nat:upnp'
@@ -22,7 +66,7 @@ export default class Client {
     if (typeof options.ttl === 'number') ttl = options.ttl
     if (typeof options.ttl === 'string' && !isNaN(options.ttl)) ttl = Number(options.ttl)
 
-    return gateway.run('AddPortMapping', [
+    const args = [
       ['NewRemoteHost', ports.remote.host],
       ['NewExternalPort', ports.remote.port],
       ['NewProtocol', protocol],
@@ -31,13 +75,36 @@ export default class Client {
       ['NewEnabled', 1],
       ['NewPortMappingDescription', description],
       ['NewLeaseDuration', ttl]
-    ])
+    ]
+    let publicPort = ports.remote.port
+
+    // IGDv2 picks a free port itself instead of failing with a conflict (718)
+    let mapped = false
+    if (/:WANIPConnection:2$/.test(await gateway.serviceType())) {
+      try {
+        const data = await gateway.run('AddAnyPortMapping', args)
+        publicPort = parseInt(this._getResponse(data, 'AddAnyPortMapping').NewReservedPort, 10)
+        mapped = true
+      } catch (err) {
+        if (!UNSUPPORTED_ACTION.includes(err.code)) throw err
+      }
+    }
+    if (!mapped) await gateway.run('AddPortMapping', args)
+
+    // The permanent lease fallback rewrites the lease duration in place
+    return {
+      public: publicPort,
+      private: ports.internal.port,
+      protocol,
+      ttl: args[args.length - 1][1],
+      gateway: new URL(gateway.url).hostname
+    }
   }
 
   async portUnmapping (options) {
     if (this._destroyed) throw new Error('client is destroyed')
 
-    const { gateway } = await this.findGateway()
+    const { gateway } = await this.findGateway(options.gateway)
 
     const ports = this._normalizeOptions(options)
     const protocol = options.protocol ? options.protocol.toUpperCase() : 'TCP'
@@ -54,51 +121,41 @@ export default class Client {
 
     if (!options) options = {}
 
-    const { gateway, address } = await this.findGateway()
-
-    let end = false
-    let i = 0
-    let results = []
+    const { gateway, address } = await this.findGateway(options.gateway)
 
-    do {
-      let data
+    let results = null
 
+    // IGDv2 lists the whole table at once, walking it entry by entry is slow
+    if (/:WANIPConnection:2$/.test(await gateway.serviceType())) {
       try {
-        data = await gateway.run('GetGenericPortMappingEntry', [['NewPortMappingIndex', i++]])
-      } catch (e) {
-        if (i !== 1) end = true
-        break
+        const entries = [
+          ...(await this._getPortMappingList(gateway, 'TCP')),
+          ...(await this._getPortMappingList(gateway, 'UDP'))
+        ]
+        results = entries.map((data) => this._toMapping(data, address))
+      } catch (err) {
+        // e.g. 606 when we may not list other clients' mappings
+        results = null
       }
+    }
 
-      let key = null
-      Object.keys(data).some((k) => {
-        if (!/:GetGenericPortMappingEntryResponse/.test(k)) return false
-        key = k
-        return true
-      })
+    if (!results) {
+      results = []
+      let i = 0
 
-      if (!key) throw new Error('Incorrect response')
-
-      data = data[key]
-
-      const result = {
-        public: {
-          host: (typeof data.NewRemoteHost === 'string') && (data.NewRemoteHost || ''),
-          port: parseInt(data.NewExternalPort, 10)
-        },
-        private: {
-          host: data.NewInternalClient,
-          port: parseInt(data.NewInternalPort, 10)
-        },
-        protocol: data.NewProtocol.toLowerCase(),
-        enabled: data.NewEnabled === '1',
-        description: data.NewPortMappingDescription,
-        ttl: parseInt(data.NewLeaseDuration, 10)
-      }
-      result.local = (result.private.host === address)
+      for (;;) {
+        let data
+
+        try {
+          data = await gateway.run('GetGenericPortMappingEntry', [['NewPortMappingIndex', i++]])
+        } catch (e) {
+          // 713 (SpecifiedArrayIndexInvalid) past the last entry
+          break
+        }
 
-      results.push(result)
-    } while (!end)
+        results.push(this._toMapping(this._getResponse(data, 'GetGenericPortMappingEntry'), address))
+      }
+    }
 
     if (options.local) {
       results = results.filter((item) => {
@@ -121,10 +178,10 @@ export default class Client {
     return results
   }
 
-  async externalIp () {
+  async externalIp (options = {}) {
     if (this._destroyed) throw new Error('client is destroyed')
 
-    const { gateway } = await this.findGateway()
+    const { gateway } = await this.findGateway(options.gateway)
 
     const data = await gateway.run('GetExternalIPAddress', [])
 
@@ -141,21 +198,348 @@ export default class Client {
     return data[key].NewExternalIPAddress
   }
 
-  async findGateway () {
+  async addPinhole (options) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    const { gateway } = await this.findFirewall()
+
+    const protocol = options.protocol ? options.protocol.toUpperCase() : 'UDP'
+    // Pinhole leases must be between 1 second and 24 hours
+    const ttl = Math.min(Math.max(Number(options.ttl) || 3600, 1), 86400)
+
+    const data = await gateway.run('AddPinhole', [
+      ['RemoteHost', options.remoteHost || ''],
+      ['RemotePort', options.remotePort || 0],
+      ['InternalClient', options.internalClient],
+      ['InternalPort', options.port],
+      ['Protocol', PROTOCOLS[protocol]],
+      ['LeaseTime', ttl]
+    ], gateway.firewallServices)
+
+    return {
+      id: this._getResponse(data, 'AddPinhole').UniqueID,
+      ttl,
+      gateway: new URL(gateway.url).hostname
+    }
+  }
+
+  async updatePinhole (options) {
     if (this._destroyed) throw new Error('client is destroyed')
 
-    const { device, address } = await this.ssdp.search(
-      'urn:schemas-upnp-org:device:InternetGatewayDevice:1', this.timeout
+    const { gateway } = await this.findFirewall()
+    const ttl = Math.min(Math.max(Number(options.ttl) || 3600, 1), 86400)
+
+    await gateway.run('UpdatePinhole', [
+      ['UniqueID', options.id],
+      ['NewLeaseTime', ttl]
+    ], gateway.firewallServices)
+
+    return { id: options.id, ttl }
+  }
+
+  async deletePinhole (options) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    const { gateway } = await this.findFirewall()
+
+    return gateway.run('DeletePinhole', [
+      ['UniqueID', options.id]
+    ], gateway.firewallServices)
+  }
+
+  async getOutboundPinholeTimeout (options) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    const { gateway } = await this.findFirewall()
+    const protocol = options.protocol ? options.protocol.toUpperCase() : 'UDP'
+
+    const data = await gateway.run('GetOutboundPinholeTimeout', [
+      ['RemoteHost', options.remoteHost || ''],
+      ['RemotePort', options.remotePort || 0],
+      ['InternalClient', options.internalClient],
+      ['InternalPort', options.port],
+      ['Protocol', PROTOCOLS[protocol]]
+    ], gateway.firewallServices)
+
+    return parseInt(this._getResponse(data, 'GetOutboundPinholeTimeout').OutboundPinholeTimeout, 10)
+  }
+
+  async getFirewallStatus () {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    const { gateway } = await this.findFirewall()
+
+    const data = this._getResponse(
+      await gateway.run('GetFirewallStatus', [], gateway.firewallServices),
+      'GetFirewallStatus'
     )
 
-    return { gateway: device, address }
+    return {
+      firewallEnabled: data.FirewallEnabled === '1',
+      inboundPinholeAllowed: data.InboundPinholeAllowed === '1'
+    }
+  }
+
+  async findFirewall () {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    if (this.location) return this._locatedGateway()
+
+    return this._cached('firewall', async () => {
+      const { device, address } = await this.ssdp.search(
+        'urn:schemas-upnp-org:service:WANIPv6FirewallControl:1', this.timeout
+      )
+
+      return { gateway: device, address }
+    })
+  }
+
+  // Every gateway answer on every interface, for diagnostics
+  async discover (timeout = this.timeout) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    if (this.location) {
+      const { gateway, address } = this._locatedGateway()
+      const host = new URL(gateway.url).hostname
+      return [{ st: null, location: gateway.url, server: null, usn: null, address, from: host }]
+    }
+
+    return this.ssdp.collect(GATEWAY_DEVICES, timeout)
+  }
+
+  // `host` picks the gateway with that address when several answer, the
+  // only one that answered is used otherwise
+  async findGateway (host) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    if (this.location) return this._locatedGateway()
+
+    return this._cached('gateway:' + (host || ''), async () => {
+      const filter = host
+        ? (info) => {
+            try {
+              return new URL(info.location).hostname === host
+            } catch (err) {
+              return false
+            }
+          }
+        : null
+      const { device, address } = await this.ssdp.search(GATEWAY_DEVICES, this.timeout, filter)
+
+      return { gateway: device, address }
+    })
+  }
+
+  // Tracks the gateways' NOTIFY announcements to notice reboots
+  listen () {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    this.ssdp.listen()
+  }
+
+  // Forgets the discovered gateways, the next request searches again
+  invalidate () {
+    this._cache.clear()
+  }
+
+  // The configured gateway, for networks where SSDP multicast is filtered
+  _locatedGateway () {
+    const cached = this._cache.get('location')
+    if (cached && !cached.gateway.stale) return cached
+
+    const device = new Device({ url: this.location, permanentFallback: this.permanentFallback })
+    const result = { gateway: device, address: localAddress(new URL(this.location).hostname) }
+    this._cache.set('location', result)
+    return result
+  }
+
+  // Reuses a discovered gateway until the TTL ran out or a request failed
+  async _cached (key, discover) {
+    const cached = this._cache.get(key)
+    if (cached && !cached.gateway.stale && cached.expires > Date.now()) return cached
+
+    if (!this._searching.has(key)) {
+      const search = discover().then((result) => {
+        this._cache.set(key, { ...result, expires: Date.now() + this.cacheTtl })
+        return this._cache.get(key)
+      }).finally(() => {
+        this._searching.delete(key)
+      })
+      this._searching.set(key, search)
+    }
+    return this._searching.get(key)
+  }
+
+  // A gateway answered from a new location, e.g. after a restart
+  _onLocation (info) {
+    let host
+    try {
+      host = new URL(info.location).hostname
+    } catch (err) {
+      return
+    }
+
+    for (const [key, cached] of this._cache) {
+      const url = cached.gateway.url
+      if (new URL(url).hostname === host && url !== info.location) {
+        this._cache.delete(key)
+      }
+    }
+  }
+
+  _onNotify (info, rinfo) {
+    if (!GATEWAY_DEVICES.includes(info.nt) || !info.usn) return
+
+    // The USN is 'uuid:<device>::<type>', byebye messages have no location
+    const uuid = info.usn.split('::')[0]
+    const known = this._announced.get(uuid)
+
+    if (info.nts === 'ssdp:byebye') {
+      if (!known) return
+      this._forget(uuid)
+      this.emit('lost', { gateway: known.host, location: known.location, reason: 'byebye' })
+      return
+    }
+
+    if (info.nts === 'ssdp:update') {
+      // Planned BOOTID change, e.g. a new interface, mappings survive it
+      if (known && info.nextBootId != null) known.bootId = info.nextBootId
+      return
+    }
+
+    if (info.nts !== 'ssdp:alive' || !info.location) return
+
+    let host
+    try {
+      host = new URL(info.location).hostname
+    } catch (err) {
+      return
+    }
+    this._onLocation(info)
+
+    // A gateway coming back after a byebye, e.g. a graceful reboot
+    let previous = known || this._departed.get(uuid)
+    this._departed.delete(uuid)
+
+    // A device with a new UUID at a known address replaced the gateway
+    if (!previous) {
+      for (const [key, other] of this._announced) {
+        if (other.host !== host) continue
+        previous = other
+        this._forget(key)
+      }
+      for (const [key, other] of this._departed) {
+        if (other.host !== host) continue
+        previous = previous || other
+        this._departed.delete(key)
+      }
+    }
+
+    const entry = { host, location: info.location, bootId: info.bootId, timer: null }
+    if (known) clearTimeout(known.timer)
+    this._announced.set(uuid, entry)
+
+    // Announcements must be repeated before max-age runs out
+    if (info.maxAge) {
+      entry.timer = setTimeout(() => {
+        if (this._announced.get(uuid) !== entry) return
+        this._forget(uuid)
+        this.emit('lost', { gateway: host, location: entry.location, reason: 'expired' })
+      }, info.maxAge * 1000)
+      if (entry.timer.unref) entry.timer.unref()
+    }
+
+    if (!previous) return
+
+    const rebooted = previous !== known ||
+      previous.location !== entry.location ||
+      (entry.bootId != null && previous.bootId != null && entry.bootId !== previous.bootId)
+    if (!rebooted) return
+
+    this.invalidate()
+    this.emit('reset', { gateway: host, location: entry.location, bootId: entry.bootId, previous: previous.bootId })
+  }
+
+  _forget (uuid) {
+    const entry = this._announced.get(uuid)
+    if (!entry) return
+
+    clearTimeout(entry.timer)
+    this._announced.delete(uuid)
+    this._departed.set(uuid, { host: entry.host, location: entry.location, bootId: entry.bootId })
+    this.invalidate()
   }
 
   destroy () {
     this._destroyed = true
+    for (const uuid of [...this._announced.keys()]) this._forget(uuid)
+    this._departed.clear()
     return this.ssdp.destroy()
   }
 
+  async _getPortMappingList (gateway, protocol) {
+    let data
+    try {
+      data = await gateway.run('GetListOfPortMappings', [
+        ['NewStartPort', 1],
+        ['NewEndPort', 65535],
+        ['NewProtocol', protocol],
+        ['NewManage', 1],
+        ['NewNumberOfPorts', 0]
+      ])
+    } catch (err) {
+      // 730 (PortMappingNotFound) when the range holds no mapping
+      if (err.code === 730) return []
+      throw err
+    }
+
+    const listing = this._getResponse(data, 'GetListOfPortMappings').NewPortListing
+    if (typeof listing !== 'string' || !listing) return []
+
+    const parser = new xml2js.Parser({
+      ...xml2js.defaults['0.1'],
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    })
+    const list = await parser.parseStringPromise(listing)
+    const entries = list.PortMappingEntry ? [].concat(list.PortMappingEntry) : []
+
+    // Same fields as GetGenericPortMappingEntry, under different names
+    return entries.map((entry) => ({
+      ...entry,
+      NewPortMappingDescription: entry.NewDescription,
+      NewLeaseDuration: entry.NewLeaseTime
+    }))
+  }
+
+  _toMapping (data, address) {
+    const result = {
+      public: {
+        host: (typeof data.NewRemoteHost === 'string') && (data.NewRemoteHost || ''),
+        port: parseInt(data.NewExternalPort, 10)
+      },
+      private: {
+        host: data.NewInternalClient,
+        port: parseInt(data.NewInternalPort, 10)
+      },
+      protocol: data.NewProtocol.toLowerCase(),
+      enabled: data.NewEnabled === '1',
+      description: data.NewPortMappingDescription,
+      ttl: parseInt(data.NewLeaseDuration, 10)
+    }
+    result.local = (result.private.host === address)
+
+    return result
+  }
+
+  _getResponse (data, action) {
+    const pattern = new RegExp('(^|:)' + action + 'Response$')
+    const key = Object.keys(data).find((k) => pattern.test(k))
+
+    if (!key) throw new Error('Incorrect response')
+
+    return data[key]
+  }
+
   _normalizeOptions (options) {
     const toObject = (addr) => {
       if (typeof addr === 'number') return { port: addr }
@@ -1,7 +1,8 @@
 import dgram from 'dgram'
 import os from 'os'
 import Device from './device.js'
-import { EventEmitter, once } from 'events'
+import { EventEmitter } from 'events'
+import { GatewayNotFoundError } from '../errors.js'
 
 const MULTICAST_IP_ADDRESS = '239.255.255.250'
 const MULTICAST_PORT = 1900
@@ -22,6 +23,7 @@ export default class Ssdp extends EventEmitter {
     this._boundCount = 0
     this._destroyed = false
     this._queue = []
+    this._listener = null
     this.permanentFallback = opts.permanentFallback || false
 
     // Create sockets on all external interfaces
@@ -43,38 +45,143 @@ export default class Ssdp extends EventEmitter {
     }
   }
 
-  async search (device, timeoutms) {
+  // `device` is a search target, or a list of them. Resolves with the first
+  // device that answers any of them, and passes `filter` when given. When
+  // none passes it, the only device that answered is used.
+  async search (device, timeoutms, filter) {
     if (this._destroyed) throw new Error('client is destroyed')
 
     await this._waitForBind()
 
-    const query = Buffer.from(
+    const targets = Array.isArray(device) ? device : [device]
+
+    let onDevice
+    let timer
+    // Answers `filter` turned down, by location
+    const others = new Map()
+    const event = new Promise((resolve) => {
+      onDevice = (info, address) => {
+        if (!targets.includes(info.st)) return
+        if (filter && !filter(info, address)) {
+          if (info.location) others.set(info.location, [info, address])
+          return
+        }
+        resolve([info, address])
+      }
+      this.on('_device', onDevice)
+    })
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (others.size === 1) return resolve([...others.values()][0])
+        reject(new GatewayNotFoundError('no device answered ' + targets.join(', '), { protocol: 'upnp' }))
+      }, timeoutms)
+      if (timer.unref) timer.unref()
+    })
+
+    this._sendSearch(targets)
+
+    try {
+      const [info, address] = await Promise.race([event, timeout])
+
+      return {
+        device: new Device({ url: info.location, type: info.st, permanentFallback: this.permanentFallback }),
+        address
+      }
+    } finally {
+      clearTimeout(timer)
+      this.removeListener('_device', onDevice)
+    }
+  }
+
+  // Collects every answer to the search targets until `timeoutms` elapsed.
+  // Each one tells which local interface address it arrived on.
+  async collect (device, timeoutms) {
+    if (this._destroyed) throw new Error('client is destroyed')
+
+    await this._waitForBind()
+
+    const targets = Array.isArray(device) ? device : [device]
+    const responses = []
+
+    const onDevice = (info, address, rinfo) => {
+      if (!targets.includes(info.st)) return
+      responses.push({
+        st: info.st,
+        location: info.location,
+        server: info.server || null,
+        usn: info.usn || null,
+        address,
+        from: rinfo ? rinfo.address : null
+      })
+    }
+    this.on('_device', onDevice)
+
+    this._sendSearch(targets)
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, timeoutms)
+      if (timer.unref) timer.unref()
+    })
+    this.removeListener('_device', onDevice)
+
+    return responses
+  }
+
+  _sendSearch (targets) {
+    const queries = targets.map((target) => Buffer.from(
       'M-SEARCH * HTTP/1.1\r\n' +
       'HOST: ' + this.multicast + ':' + this.port + '\r\n' +
       'MAN: "ssdp:discover"\r\n' +
       'MX: 1\r\n' +
-      'ST: ' + device + '\r\n' +
+      'ST: ' + target + '\r\n' +
       '\r\n'
-    )
+    ))
 
-    const timeout = new Promise((resolve, reject) => {
-      setTimeout(() => {
-        const err = new Error('timeout')
-        reject(err)
-      }, timeoutms).unref?.()
+    this.sockets.forEach((socket) => {
+      queries.forEach((query) => {
+        socket.send(query, 0, query.length, this.port, this.multicast)
+      })
     })
+  }
+
+  // Joins the multicast group to receive the NOTIFY announcements devices
+  // send unsolicited, emitted as 'notify'
+  listen () {
+    if (this._destroyed) throw new Error('client is destroyed')
+    if (this._listener) return
 
-    const event = once(this, '_device')
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
 
-    this.sockets.forEach((socket) => {
-      socket.send(query, 0, query.length, this.port, this.multicast)
+    socket.on('message', (message, info) => {
+      // Ignore messages after closing sockets
+      if (this._destroyed) return
+
+      this._parseResponse(message.toString(), null, info)
     })
 
-    const [info, address] = await Promise.race([event, timeout])
+    socket.on('listening', () => {
+      const interfaces = os.networkInterfaces()
+      for (const key in interfaces) {
+        for (const item of interfaces[key]) {
+          if (item.internal || item.family !== 'IPv4') continue
+          try {
+            socket.addMembership(this.multicast, item.address)
+          } catch (err) {
+            // Ignore interfaces without multicast
+          }
+        }
+      }
+    })
 
-    if (info.st !== device) return
+    socket.on('error', () => {
+      // Ignore errors, e.g. when port 1900 is taken without SO_REUSEADDR
+      if (this._listener === socket) this._listener = null
+      socket.close()
+    })
 
-    return { device: new Device({ url: info.location, permanentFallback: this.permanentFallback }), address }
+    socket.bind(this.port)
+    this._listener = socket
   }
 
   createSocket (interf) {
@@ -135,9 +242,7 @@ export default class Ssdp extends EventEmitter {
     this.sockets.push(socket)
   }
 
-  // TODO create separate logic for parsing unsolicited upnp broadcasts,
-  // if and when that need arises
-  _parseResponse (response, addr) {
+  _parseResponse (response, addr, rinfo) {
     if (this._destroyed) return
 
     // Ignore incorrect packets
@@ -145,10 +250,32 @@ export default class Ssdp extends EventEmitter {
 
     const headers = this._parseMimeHeader(response)
 
+    // Unsolicited announcements: ssdp:alive, ssdp:byebye and ssdp:update
+    if (/^NOTIFY/.test(response)) {
+      if (headers.nt && headers.nts) this.emit('notify', this._parseNotify(headers), rinfo)
+      return
+    }
+
     // Messages that match the original search target
     if (!headers.st) return
 
-    this.emit('_device', headers, addr)
+    this.emit('_device', headers, addr, rinfo)
+  }
+
+  _parseNotify (headers) {
+    const maxAge = /max-age\s*=\s*(\d+)/i.exec(headers['cache-control'] || '')
+    const bootId = parseInt(headers['bootid.upnp.org'], 10)
+    const nextBootId = parseInt(headers['nextbootid.upnp.org'], 10)
+
+    return {
+      nt: headers.nt,
+      nts: headers.nts,
+      usn: headers.usn || null,
+      location: headers.location || null,
+      maxAge: maxAge ? parseInt(maxAge[1], 10) : null,
+      bootId: isNaN(bootId) ? null : bootId,
+      nextBootId: isNaN(nextBootId) ? null : nextBootId
+    }
   }
 
   _parseMimeHeader (headerStr) {
@@ -196,6 +323,8 @@ export default class Ssdp extends EventEmitter {
   async destroy () {
     this._destroyed = true
 
-    return Promise.allSettled(this.sockets.map(socket => new Promise(resolve => socket.close(resolve))))
+    const sockets = this._listener ? [...this.sockets, this._listener] : this.sockets
+    this._listener = null
+    return Promise.allSettled(sockets.map(socket => new Promise(resolve => socket.close(resolve))))
   }
 }
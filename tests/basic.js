@@ -10,9 +10,9 @@ const test = async (protocol, opts) => {
   const client = new NatAPI({ enablePMP: opts.enablePMP, enableUPNP: opts.enableUPNP, upnpPermanentFallback: false })
 
   const options = { publicPort: port, privatePort: port, protocol }
-  let response = await client.map(options)
-  console.log(`   Port ${port} mapped to ${port} ${protocol} Success: ${response}`)
-  response = await client.unmap(options)
+  const mapping = await client.map(options)
+  console.log(`   Port ${port} mapped to ${port} ${protocol} Success: ${JSON.stringify(mapping)}`)
+  const response = await client.unmap(mapping || options)
   console.log(`   Port ${port} unmapped from ${port} ${protocol} Success: ${response}`)
 
   await client.destroy()
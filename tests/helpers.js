@@ -0,0 +1,41 @@
+import dgram from 'dgram'
+
+/**
+ * Runs each test of `tests`, a { name: async fn } object, in turn and
+ * prints `ok - name`. The first failure is printed and fails the process.
+ */
+
+export const run = async (tests) => {
+  try {
+    for (const name in tests) {
+      await tests[name]()
+      console.log(`ok - ${name}`)
+    }
+  } catch (err) {
+    console.error(err)
+    process.exitCode = 1
+  }
+}
+
+/**
+ * NAT-PMP/PCP server stand-in on `address`:5351. `handler(msg, rinfo,
+ * received)` returns the response, a list of them, or nothing to stay
+ * silent. `received` lists the requests with their arrival time,
+ * `send(buf, port)` sends an unsolicited packet.
+ */
+
+export const createGateway = async (address, handler) => {
+  const socket = dgram.createSocket('udp4')
+  const gateway = {
+    received: [],
+    send: (buf, port) => socket.send(buf, port, address),
+    close: () => new Promise((resolve) => socket.close(resolve))
+  }
+
+  socket.on('message', (msg, rinfo) => {
+    gateway.received.push({ msg, rinfo, at: Date.now() })
+    for (const res of [].concat(handler(msg, rinfo, gateway.received) || [])) socket.send(res, rinfo.port, rinfo.address)
+  })
+  await new Promise((resolve) => socket.bind(5351, address, resolve))
+  return gateway
+}
@@ -0,0 +1,343 @@
+import assert from 'assert'
+import NatAPI, { MappingConflictError, MappingFailedError, NatTimeoutError } from '../index.js'
+import { errorFromCode } from '../lib/errors.js'
+import { run } from './helpers.js'
+
+const GATEWAY = '192.0.2.1'
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * NatAPI whose protocols are stand-ins keeping their redirects in `table`,
+ * keyed by protocol and public port. `methods` gives each method's delay in
+ * ms, the public port and external IP it grants, or `fail` to reject, with
+ * the error it returns if any.
+ */
+
+const createClient = (methods, opts = {}) => {
+  const table = new Map()
+  const nat = new NatAPI({ enablePMP: false, enableUPNP: false, autoUpdate: false, ...opts })
+
+  nat._methods = (options) => options.methods || Object.keys(methods)
+  nat._mapWith = async (method, options) => {
+    const behavior = methods[method]
+    await delay(behavior.delay || 0)
+    const failure = behavior.fail && behavior.fail(options)
+    if (failure) throw failure instanceof Error ? failure : new Error(method + ' failed')
+
+    const publicPort = behavior.publicPort || options.publicPort
+    table.set(options.protocol + ':' + publicPort, method)
+    return nat._mapping(options, method, { externalIp: behavior.externalIp, publicPort, ttl: 7200, gateway: GATEWAY })
+  }
+  nat._unmap = async (options) => {
+    table.delete(options.protocol + ':' + options.publicPort)
+    return [true, null]
+  }
+
+  return { nat, table }
+}
+
+// Mapping as listed by the UPnP client's getMappings()
+const listed = (port, description, ttl = 3600, local = true) => ({
+  public: { port },
+  private: { port },
+  protocol: 'tcp',
+  description,
+  ttl,
+  local
+})
+
+// What PCP (result 11) and UPnP (error 718) report for a taken port
+const conflict = (protocol) => new MappingConflictError('port is taken', { protocol, code: protocol === 'upnp' ? 718 : 11 })
+
+// Lets the UPnP client of `nat` see `entries` on the gateway, and remove them
+const upnpTable = (nat, entries) => {
+  const client = nat._upnpClient
+  client.getMappings = async () => [...entries]
+  client.findGateway = async () => ({ gateway: { url: 'http://' + GATEWAY + ':5000/rootDesc.xml' } })
+  client.externalIp = async () => '203.0.113.1'
+  client.portUnmapping = async (options) => {
+    const index = entries.findIndex((entry) => entry.public.port === options.public)
+    if (index !== -1) entries.splice(index, 1)
+  }
+  return entries
+}
+
+const tests = {
+  'race keeps a redirect both protocols share': async () => {
+    const { nat, table } = createClient({ pmp: { delay: 0 }, upnp: { delay: 20 } }, { strategy: 'race' })
+    const mapping = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+    assert.strictEqual(mapping.method, 'pmp')
+
+    // Let the UPnP attempt finish
+    await delay(50)
+    assert.strictEqual(table.has('TCP:7000'), true)
+    assert.strictEqual(nat._openPorts.length, 1)
+    await nat.destroy()
+  },
+
+  'race removes a different redirect granted later': async () => {
+    const { nat, table } = createClient({ pmp: { delay: 0, publicPort: 7001 }, upnp: { delay: 20 } }, { strategy: 'race' })
+    const mapping = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+    assert.strictEqual(mapping.publicPort, 7001)
+
+    await delay(50)
+    assert.deepStrictEqual([...table.keys()], ['TCP:7001'])
+    await nat.destroy()
+  },
+
+  'a failed TCP mapping removes its UDP pair': async () => {
+    const { nat, table } = createClient({ pmp: { fail: (options) => options.protocol === 'TCP' } })
+    assert.strictEqual(await nat.map(5000), false)
+    assert.deepStrictEqual([...table.keys()], [])
+    assert.deepStrictEqual(nat._openPorts, [])
+
+    const results = await nat.mapMany([{ publicPort: 4000, privatePort: 4000, protocol: 'UDP' }, 4001], { rollback: true })
+    assert.strictEqual(results[0].rolledBack, true)
+    assert.deepStrictEqual([...table.keys()], [])
+    assert.deepStrictEqual(nat._openPorts, [])
+    await nat.destroy()
+  },
+
+  'mapping on every gateway skips UPnP where no IGD answered': async () => {
+    const { nat } = createClient({ pmp: { fail: () => true }, upnp: {} })
+    nat.gateways = async () => [
+      { address: GATEWAY, upnp: 'http://' + GATEWAY + ':5000/rootDesc.xml' },
+      { address: '192.0.2.2', upnp: null }
+    ]
+    const mappings = await nat.map({ publicPort: 6000, privatePort: 6000, protocol: 'TCP', gateway: 'all' })
+    assert.deepStrictEqual(mappings.map((mapping) => mapping.method), ['upnp'])
+    await nat.destroy()
+  },
+
+  'saving before restore() keeps the previous journal': async () => {
+    let saved = [{ publicPort: 7000, privatePort: 7000, protocol: 'TCP', ttl: 0, method: 'upnp', gateway: GATEWAY }]
+    const store = {
+      load: async () => saved,
+      save: async (mappings) => { saved = mappings }
+    }
+    const { nat } = createClient({ pmp: {}, upnp: {} }, { store })
+    await nat.map({ publicPort: 8000, privatePort: 8000, protocol: 'UDP' })
+    await nat._saving
+    assert.deepStrictEqual(saved.map((entry) => entry.protocol + ':' + entry.publicPort), ['UDP:8000', 'TCP:7000'])
+
+    const results = await nat.restore()
+    assert.deepStrictEqual(results.map((result) => result.mapping.protocol + ':' + result.mapping.publicPort), ['TCP:7000'])
+    await nat.destroy()
+  },
+
+  'a mapping unmap() could not remove stays in the journal': async () => {
+    let saved = []
+    const store = {
+      load: async () => saved,
+      save: async (mappings) => { saved = mappings }
+    }
+    const { nat } = createClient({ upnp: {} }, { store })
+    await nat.restore()
+    const mapping = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+
+    nat._unmap = async () => [false, new Error('DeletePortMapping failed')]
+    assert.strictEqual(await nat.unmap(mapping), false)
+    await nat._saving
+    assert.deepStrictEqual(nat._openPorts, [])
+    assert.deepStrictEqual(saved.map((entry) => entry.protocol + ':' + entry.publicPort), ['TCP:7000'])
+
+    // Kept once, however often it fails
+    await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+    await nat.destroy()
+    assert.deepStrictEqual(saved.map((entry) => entry.protocol + ':' + entry.publicPort), ['TCP:7000'])
+  },
+
+  'reclaim deletes the mappings with exactly its description': async () => {
+    const { nat } = createClient({ upnp: {} }, { enableUPNP: true })
+    const entries = upnpTable(nat, [listed(7000, 'app'), listed(7001, 'app-2'), listed(7002, 'app')])
+    await nat.map({ publicPort: 7002, privatePort: 7002, protocol: 'TCP', description: 'app' })
+
+    const results = await nat.reclaim({ description: 'app' })
+    assert.deepStrictEqual(results.map((result) => [result.publicPort, result.action, result.success]), [[7000, 'delete', true]])
+    assert.deepStrictEqual(entries.map((entry) => entry.public.port), [7001, 7002])
+    await nat.destroy()
+  },
+
+  'reclaim without a description only takes journaled mappings': async () => {
+    let saved = [{ publicPort: 7000, privatePort: 7000, protocol: 'TCP', ttl: 7200, method: 'upnp', gateway: GATEWAY }]
+    const store = {
+      load: async () => saved,
+      save: async (mappings) => { saved = mappings }
+    }
+    const { nat } = createClient({ upnp: {} }, { enableUPNP: true, store })
+    // Another process's mapping has the same default description
+    const entries = upnpTable(nat, [listed(7000, 'NatAPI'), listed(7001, 'NatAPI')])
+
+    const results = await nat.reclaim()
+    assert.deepStrictEqual(results.map((result) => [result.publicPort, result.success]), [[7000, true]])
+    assert.deepStrictEqual(entries.map((entry) => entry.public.port), [7001])
+    assert.deepStrictEqual(saved, [])
+    await nat.destroy()
+
+    const other = createClient({ upnp: {} }, { enableUPNP: true }).nat
+    await assert.rejects(other.reclaim(), /description was not specified/)
+    await other.destroy()
+  },
+
+  'a reclaim dry run changes nothing': async () => {
+    const { nat } = createClient({ upnp: {} }, { enableUPNP: true })
+    const entries = upnpTable(nat, [listed(7000, 'app', 0)])
+
+    const results = await nat.reclaim({ description: 'app', dryRun: true })
+    assert.deepStrictEqual(results, [{
+      publicPort: 7000,
+      privatePort: 7000,
+      protocol: 'TCP',
+      description: 'app',
+      ttl: 0,
+      action: 'delete',
+      success: null
+    }])
+    assert.strictEqual(entries.length, 1)
+    await nat.destroy()
+  },
+
+  'reclaim adopts mappings with the client ttl': async () => {
+    const { nat } = createClient({ upnp: {} }, { enableUPNP: true, ttl: 3600 })
+    upnpTable(nat, [listed(7000, 'app', 600), listed(7001, 'app', 0)])
+
+    const results = await nat.reclaim({ description: 'app', adopt: true })
+    assert.deepStrictEqual(results.map((result) => [result.action, result.success]), [['adopt', true], ['adopt', true]])
+
+    const [leased, permanent] = nat._openPorts
+    assert.strictEqual(leased.ttl, 3600)
+    assert.ok(leased.expiresAt <= Date.now() + 600 * 1000)
+    assert.strictEqual(leased.externalIp, '203.0.113.1')
+    assert.strictEqual(permanent.ttl, 0)
+    assert.strictEqual(permanent.expiresAt, null)
+    await nat.destroy()
+  },
+
+  'a UPnP conflict after a PCP one applies the policy': async () => {
+    const { nat } = createClient({
+      pcp: { fail: () => conflict('pcp') },
+      upnp: { fail: (options) => options.publicPort === 7000 && conflict('upnp') }
+    }, { enableUPNP: true, onConflict: 'next-free' })
+    nat._pcpClient = { supported: true, close: async () => {} }
+    upnpTable(nat, [])
+
+    const mapping = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+    assert.strictEqual(mapping.method, 'upnp')
+    assert.strictEqual(mapping.publicPort, 7001)
+    await nat.destroy()
+  },
+
+  'next-free skips listed ports and wraps around the range': async () => {
+    const tried = []
+    const { nat } = createClient({
+      upnp: {
+        fail: (options) => {
+          tried.push(options.publicPort)
+          return options.publicPort !== 7001 && conflict('upnp')
+        }
+      }
+    }, { enableUPNP: true, onConflict: 'next-free', conflictRange: [7000, 7003] })
+    // Taken by another host
+    upnpTable(nat, [listed(7003, 'other', 3600, false)])
+
+    const mapping = await nat.map({ publicPort: 7002, privatePort: 7002, protocol: 'TCP' })
+    assert.strictEqual(mapping.publicPort, 7001)
+    assert.deepStrictEqual(tried, [7002, 7000, 7001])
+    await nat.destroy()
+  },
+
+  'random draws distinct free ports in the range': async () => {
+    const { nat } = createClient({ upnp: {} })
+    const opts = { publicPort: 7000, conflictRange: [7000, 7005], conflictAttempts: 3 }
+
+    const ports = nat._alternativePorts(opts, 'random', new Set([7001]))
+    assert.strictEqual(ports.length, 3)
+    assert.strictEqual(new Set(ports).size, 3)
+    assert.ok(ports.every((port) => port >= 7002 && port <= 7005))
+
+    // Gives up when every port is taken
+    assert.deepStrictEqual(nat._alternativePorts({ ...opts, conflictRange: [7000, 7001] }, 'random', new Set([7001])), [])
+    await nat.destroy()
+  },
+
+  'replace-own removes only this host\'s old mapping': async () => {
+    const { nat } = createClient({
+      upnp: { fail: (options) => entries.some((entry) => entry.public.port === options.publicPort) && conflict('upnp') }
+    }, { enableUPNP: true, onConflict: 'replace-own', rejectOnFailure: true })
+    const entries = upnpTable(nat, [listed(7000, 'NatAPI'), listed(7001, 'other', 3600, false)])
+
+    const mapping = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+    assert.strictEqual(mapping.publicPort, 7000)
+    assert.deepStrictEqual(entries.map((entry) => entry.public.port), [7001])
+
+    await assert.rejects(nat.map({ publicPort: 7001, privatePort: 7001, protocol: 'TCP' }), { name: 'MappingFailedError' })
+    assert.deepStrictEqual(entries.map((entry) => entry.public.port), [7001])
+    await nat.destroy()
+  },
+
+  'strict false keeps a mapping behind CGNAT': async () => {
+    const { nat, table } = createClient({ upnp: { externalIp: '100.64.0.1' } })
+    const unreachable = []
+    nat.on('unreachable', (mapping) => unreachable.push(mapping))
+
+    const mapping = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+    assert.strictEqual(mapping.externalIpType, 'cgnat')
+    assert.deepStrictEqual(unreachable, [])
+    assert.strictEqual(table.has('TCP:7000'), true)
+    await nat.destroy()
+  },
+
+  'strict warn keeps the mapping and emits unreachable': async () => {
+    const { nat, table } = createClient({ upnp: { externalIp: '192.168.1.2' } }, { strict: 'warn' })
+    const unreachable = []
+    nat.on('unreachable', (mapping) => unreachable.push(mapping))
+
+    const mapping = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+    assert.strictEqual(mapping.externalIpType, 'private')
+    assert.deepStrictEqual(unreachable, [mapping])
+    assert.deepStrictEqual(nat._openPorts, [mapping])
+    assert.strictEqual(table.has('TCP:7000'), true)
+    await nat.destroy()
+  },
+
+  'strict true removes the mapping and throws': async () => {
+    const { nat, table } = createClient({ upnp: { externalIp: '100.100.0.1' } }, { strict: true })
+
+    await assert.rejects(nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' }), {
+      name: 'NatError',
+      code: 'EUNREACHABLE',
+      protocol: 'upnp',
+      message: /external IP 100\.100\.0\.1 is behind carrier-grade NAT/
+    })
+    assert.deepStrictEqual([...table.keys()], [])
+    assert.deepStrictEqual(nat._openPorts, [])
+
+    // A public address is fine
+    const other = createClient({ upnp: { externalIp: '203.0.113.1' } }, { strict: true })
+    assert.strictEqual((await other.nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })).externalIpType, 'public')
+    await other.nat.destroy()
+    await nat.destroy()
+  },
+
+  'rejectOnFailure rejects with why each protocol failed': async () => {
+    const timeout = new NatTimeoutError('no response from ' + GATEWAY, { protocol: 'pmp', gateway: GATEWAY })
+    const taken = errorFromCode('port is taken', { protocol: 'upnp', gateway: GATEWAY, code: 718 })
+    assert.ok(taken instanceof MappingConflictError)
+
+    const { nat } = createClient({ pmp: { fail: () => timeout }, upnp: { fail: () => taken } }, { rejectOnFailure: true })
+    const err = await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' }).catch((err) => err)
+    assert.ok(err instanceof MappingFailedError)
+    assert.strictEqual(err.message, 'no protocols succeeded (pmp: no response from ' + GATEWAY + '; upnp: port is taken)')
+    assert.deepStrictEqual(err.errors, [timeout, taken])
+    assert.strictEqual(err.errors[0].code, 'ETIMEDOUT')
+    assert.strictEqual(err.errors[1].code, 718)
+
+    // Resolves to false without it
+    nat.rejectOnFailure = false
+    assert.strictEqual(await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' }), false)
+    await nat.destroy()
+  }
+}
+
+run(tests)
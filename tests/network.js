@@ -0,0 +1,52 @@
+import assert from 'assert'
+import { classifyAddress } from '../lib/network.js'
+import { run } from './helpers.js'
+
+// Address, then the expected class
+const ADDRESSES = [
+  // 10.0.0.0/8
+  ['9.255.255.255', 'public'],
+  ['10.0.0.0', 'private'],
+  ['10.255.255.255', 'private'],
+  ['11.0.0.0', 'public'],
+  // 172.16.0.0/12
+  ['172.15.255.255', 'public'],
+  ['172.16.0.0', 'private'],
+  ['172.31.255.255', 'private'],
+  ['172.32.0.0', 'public'],
+  // 192.168.0.0/16
+  ['192.167.255.255', 'public'],
+  ['192.168.0.0', 'private'],
+  ['192.168.255.255', 'private'],
+  ['192.169.0.0', 'public'],
+  // 100.64.0.0/10
+  ['100.63.255.255', 'public'],
+  ['100.64.0.0', 'cgnat'],
+  ['100.127.255.255', 'cgnat'],
+  ['100.128.0.0', 'public'],
+  // Loopback and link-local
+  ['127.0.0.1', 'private'],
+  ['169.254.10.1', 'private'],
+  ['169.255.0.1', 'public'],
+  // IPv6
+  ['::1', 'private'],
+  ['fd12:3456::1', 'private'],
+  ['fe80::1', 'private'],
+  ['2001:db8::1', 'public'],
+  // Missing or unspecified
+  ['0.0.0.0', 'unknown'],
+  ['::', 'unknown'],
+  ['', 'unknown'],
+  [null, 'unknown'],
+  ['gateway.local', 'unknown']
+]
+
+const tests = {
+  'classifies addresses at the range boundaries': () => {
+    for (const [ip, expected] of ADDRESSES) {
+      assert.strictEqual(classifyAddress(ip), expected, String(ip))
+    }
+  }
+}
+
+run(tests)
@@ -0,0 +1,136 @@
+import assert from 'assert'
+import NatAPI from '../index.js'
+import NatPCP from '../lib/pcp/index.js'
+import { toMappedIPv6 } from '../lib/network.js'
+import { run, createGateway } from './helpers.js'
+
+const GATEWAY = '127.0.0.1'
+const EXTERNAL_IP = '203.0.113.9'
+
+// Grants a PCP MAP request, echoing its nonce, protocol and ports
+const mapResponse = (msg, opts = {}) => {
+  const res = Buffer.alloc(60)
+  res.writeUInt8(2, 0)
+  res.writeUInt8(128 + msg.readUInt8(1), 1)
+  res.writeUInt8(opts.resultCode || 0, 3)
+  res.writeUInt32BE(msg.readUInt32BE(4), 4) // Lifetime
+  res.writeUInt32BE(opts.epoch || 100, 8)
+  msg.copy(res, 24, 24, 44) // Nonce, protocol, internal and external port
+  if (opts.external) res.writeUInt16BE(opts.external, 42)
+  toMappedIPv6(EXTERNAL_IP).copy(res, 44)
+  return res
+}
+
+// What a NAT-PMP only server answers to any PCP request
+const unsupportedVersion = (msg) => {
+  const res = Buffer.alloc(8)
+  res.writeUInt8(128 + msg.readUInt8(1), 1)
+  res.writeUInt16BE(1, 2)
+  return res
+}
+
+// NAT-PMP answers: external address, or the mapping echoing the ports
+const pmpResponse = (msg) => {
+  const op = msg.readUInt8(1)
+  const res = Buffer.alloc(op === 0 ? 12 : 16)
+  res.writeUInt8(128 + op, 1)
+  res.writeUInt32BE(100, 4)
+  if (op === 0) {
+    Buffer.from(EXTERNAL_IP.split('.').map(Number)).copy(res, 8)
+  } else {
+    msg.copy(res, 8, 4, 12) // Internal and external port, lifetime
+  }
+  return res
+}
+
+const withClient = async (handler, fn) => {
+  const gateway = await createGateway(GATEWAY, handler)
+  const client = new NatPCP(GATEWAY, { localAddress: '192.0.2.20', initialTimeout: 20, maxAttempts: 2 })
+  try {
+    await fn(client, gateway)
+  } finally {
+    await client.close()
+    await gateway.close()
+  }
+}
+
+const tests = {
+  'encodes a MAP request': () => withClient((msg) => mapResponse(msg, { external: 40000 }), async (client, gateway) => {
+    const res = await client.portMapping({ type: 'udp', private: 4000, public: 5000, ttl: 600 })
+
+    const msg = gateway.received[0].msg
+    assert.strictEqual(msg.length, 60)
+    assert.strictEqual(msg.readUInt8(0), 2) // Version
+    assert.strictEqual(msg.readUInt8(1), 1) // MAP
+    assert.strictEqual(msg.readUInt32BE(4), 600)
+    assert.deepStrictEqual(msg.slice(8, 24), toMappedIPv6('192.0.2.20'))
+    assert.strictEqual(msg.readUInt8(36), 17) // UDP
+    assert.strictEqual(msg.readUInt16BE(40), 4000)
+    assert.strictEqual(msg.readUInt16BE(42), 5000)
+
+    assert.strictEqual(res.type, 'udp')
+    assert.strictEqual(res.private, 4000)
+    assert.strictEqual(res.public, 40000)
+    assert.strictEqual(res.ttl, 600)
+    assert.strictEqual(res.ip, EXTERNAL_IP)
+    assert.strictEqual(client.supported, true)
+  }),
+
+  'reuses the nonce of a mapping until it is deleted': () => withClient((msg) => mapResponse(msg), async (client, gateway) => {
+    const nonce = (index) => gateway.received[index].msg.slice(24, 36).toString('hex')
+
+    await client.portMapping({ type: 'tcp', private: 4000, ttl: 600 })
+    await client.portMapping({ type: 'tcp', private: 4000, ttl: 600 })
+    await client.portMapping({ type: 'udp', private: 4000, ttl: 600 })
+    await client.portUnmapping({ type: 'tcp', private: 4000 })
+    await client.portMapping({ type: 'tcp', private: 4000, ttl: 600 })
+
+    assert.strictEqual(nonce(1), nonce(0))
+    assert.notStrictEqual(nonce(2), nonce(0))
+    assert.strictEqual(nonce(3), nonce(0))
+    assert.strictEqual(gateway.received[3].msg.readUInt32BE(4), 0)
+    assert.notStrictEqual(nonce(4), nonce(0))
+  }),
+
+  'ignores responses with another nonce': () => withClient((msg) => {
+    const stale = mapResponse(msg)
+    stale.fill(0, 24, 36)
+    return [stale, mapResponse(msg, { external: 40001 })]
+  }, async (client) => {
+    const res = await client.portMapping({ type: 'tcp', private: 4000, ttl: 600 })
+    assert.strictEqual(res.public, 40001)
+  }),
+
+  'rejects with a typed error on a result code': () => withClient((msg) => mapResponse(msg, { resultCode: 8 }), async (client) => {
+    await assert.rejects(client.portMapping({ type: 'tcp', private: 4000, ttl: 600 }), {
+      name: 'OutOfResourcesError',
+      protocol: 'pcp',
+      code: 8
+    })
+  }),
+
+  'marks a NAT-PMP only server unsupported': () => withClient(unsupportedVersion, async (client) => {
+    await assert.rejects(client.portMapping({ type: 'tcp', private: 4000, ttl: 600 }), { protocol: 'pcp', code: 1 })
+    assert.strictEqual(client.supported, false)
+  }),
+
+  'map() falls back to NAT-PMP on a NAT-PMP only server': async () => {
+    const gateway = await createGateway(GATEWAY, (msg) => msg.readUInt8(0) === 2 ? unsupportedVersion(msg) : pmpResponse(msg))
+    const nat = new NatAPI({ gateway: GATEWAY, enablePCP: true, enableUPNP: false, autoUpdate: false })
+    try {
+      const mapping = await nat.map({ publicPort: 4000, privatePort: 4000, protocol: 'TCP' })
+      assert.strictEqual(mapping.method, 'pmp')
+      assert.strictEqual(mapping.externalIp, EXTERNAL_IP)
+
+      // PCP is not asked again
+      const count = gateway.received.filter(({ msg }) => msg.readUInt8(0) === 2).length
+      await nat.map({ publicPort: 4001, privatePort: 4001, protocol: 'TCP' })
+      assert.strictEqual(gateway.received.filter(({ msg }) => msg.readUInt8(0) === 2).length, count)
+    } finally {
+      await nat.destroy()
+      await gateway.close()
+    }
+  }
+}
+
+run(tests)
@@ -0,0 +1,129 @@
+import assert from 'assert'
+import NatAPI from '../index.js'
+import NatPMP from '../lib/pmp/index.js'
+import { run, createGateway } from './helpers.js'
+
+// NAT-PMP external address response
+const externalIpResponse = (ip, epoch = 100) => {
+  const buf = Buffer.alloc(12)
+  buf.writeUInt8(128, 1)
+  buf.writeUInt32BE(epoch, 4)
+  Buffer.from(ip.split('.').map(Number)).copy(buf, 8)
+  return buf
+}
+
+// NAT-PMP mapping response, echoing the requested ports and lifetime
+const mapResponse = (msg, internal = msg.readUInt16BE(4)) => {
+  const buf = Buffer.alloc(16)
+  buf.writeUInt8(128 + msg.readUInt8(1), 1)
+  buf.writeUInt32BE(100, 4)
+  buf.writeUInt16BE(internal, 8)
+  msg.copy(buf, 10, 6, 12) // External port, lifetime
+  return buf
+}
+
+const GATEWAY = '127.0.0.1'
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const withClient = async (handler, fn) => {
+  const gateway = await createGateway(GATEWAY, handler)
+  const client = new NatPMP(GATEWAY, { port: 0, initialTimeout: 20, maxAttempts: 3 })
+  try {
+    await fn(client, gateway)
+  } finally {
+    await client.close()
+    await gateway.close()
+  }
+}
+
+// Answers the external address requests with the next epoch of `epochs`
+const epochs = (...list) => () => externalIpResponse('203.0.113.1', list.shift())
+
+const tests = {
+  'a steady epoch is no restart': () => withClient(epochs(100, 100), async (client) => {
+    const resets = []
+    client.on('reset', (info) => resets.push(info))
+    await client.externalIp()
+    await client.externalIp()
+    assert.deepStrictEqual(resets, [])
+  }),
+
+  'an epoch going backwards is a restart': () => withClient(epochs(100, 5), async (client) => {
+    const resets = []
+    client.on('reset', (info) => resets.push(info))
+    await client.externalIp()
+    await client.externalIp()
+    assert.deepStrictEqual(resets, [{ epoch: 5, previous: 100 }])
+  }),
+
+  'an epoch running ahead of our clock is a restart': () => withClient(epochs(100, 5000), async (client) => {
+    const resets = []
+    client.on('reset', (info) => resets.push(info))
+    await client.externalIp()
+    await client.externalIp()
+    assert.deepStrictEqual(resets, [{ epoch: 5000, previous: 100 }])
+  }),
+
+  'an address announcement carries the epoch': () => withClient(epochs(100), async (client, gateway) => {
+    const events = []
+    client.on('reset', () => events.push('reset'))
+    client.on('external-ip', (info) => events.push(info))
+    await client.externalIp()
+
+    gateway.send(externalIpResponse('203.0.113.2', 3), client.socket.address().port)
+    await delay(50)
+    assert.deepStrictEqual(events, ['reset', { ip: '203.0.113.2', epoch: 3 }])
+  }),
+
+  'retransmits until the gateway answers': () => withClient((msg, rinfo, received) => {
+    return received.length === 3 ? externalIpResponse('203.0.113.1') : null
+  }, async (client, gateway) => {
+    assert.strictEqual(await client.externalIp(), '203.0.113.1')
+    assert.strictEqual(gateway.received.length, 3)
+
+    // Doubling intervals, 20 then 40 ms
+    const [first, second, third] = gateway.received.map(({ at }) => at)
+    assert.ok(second - first >= 15 && third - second >= 35)
+  }),
+
+  'times out and moves on to the next request': () => withClient((msg) => {
+    return msg.readUInt8(1) === 0 ? externalIpResponse('203.0.113.1') : null
+  }, async (client, gateway) => {
+    const mapping = client.portMapping({ type: 'tcp', private: 4000, public: 4000, ttl: 600 })
+    const ip = client.externalIp()
+
+    await assert.rejects(mapping, { name: 'NatTimeoutError', code: 'ETIMEDOUT', protocol: 'pmp', gateway: GATEWAY })
+    assert.strictEqual(await ip, '203.0.113.1')
+    assert.strictEqual(gateway.received.length, 4)
+  }),
+
+  'a late answer to a timed out request does not settle the next one': () => withClient((msg) => {
+    const internal = msg.readUInt16BE(4)
+    if (internal === 4000) return null
+    // The answer to the first request shows up with the second one
+    return [mapResponse(msg, 4000), mapResponse(msg)]
+  }, async (client) => {
+    await assert.rejects(client.portMapping({ type: 'tcp', private: 4000, public: 4000, ttl: 600 }), { code: 'ETIMEDOUT' })
+    const res = await client.portMapping({ type: 'tcp', private: 5000, public: 5000, ttl: 600 })
+    assert.strictEqual(res.private, 5000)
+  }),
+
+  'extra gateways leave port 5350 to the default client': async () => {
+    const first = await createGateway('127.0.0.1', () => externalIpResponse('203.0.113.1'))
+    const second = await createGateway('127.0.0.3', () => externalIpResponse('203.0.113.3'))
+    const nat = new NatAPI({ gateway: '127.0.0.1', enableUPNP: false, pmpAttempts: 2 })
+    try {
+      assert.strictEqual(await nat._natClient('pmp', '127.0.0.3').externalIp(), '203.0.113.3')
+      assert.strictEqual(second.received[0].rinfo.port !== 5350, true)
+      assert.strictEqual(await nat.externalIp(), '203.0.113.1')
+      assert.strictEqual(first.received[0].rinfo.port, 5350)
+    } finally {
+      await nat.destroy()
+      await first.close()
+      await second.close()
+    }
+  }
+}
+
+run(tests)
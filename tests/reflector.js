@@ -0,0 +1,81 @@
+import assert from 'assert'
+import net from 'net'
+import NatAPI from '../index.js'
+import { ReflectorClient, ReflectorServer } from '../lib/reflector.js'
+import { run } from './helpers.js'
+
+// A port nothing listens on, TCP and UDP
+const freePort = () => {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+const withReflector = async (fn) => {
+  const server = new ReflectorServer({ timeout: 1000 })
+  const { port } = await server.listen(0, '127.0.0.1')
+  try {
+    await fn(new ReflectorClient({ host: '127.0.0.1', port, timeout: 1000 }), port)
+  } finally {
+    await server.close()
+  }
+}
+
+const tests = {
+  'reaches a TCP port': () => withReflector(async (client) => {
+    const port = await freePort()
+    const result = await client.check({ port, protocol: 'TCP' })
+    assert.deepStrictEqual(result, { reachable: true, address: '127.0.0.1' })
+  }),
+
+  'reaches a UDP port': () => withReflector(async (client) => {
+    const port = await freePort()
+    const result = await client.check({ port, protocol: 'UDP' })
+    assert.deepStrictEqual(result, { reachable: true, address: '127.0.0.1' })
+  }),
+
+  'reports a closed TCP port': () => withReflector(async (client) => {
+    // Listens on localPort while the reflector tries another port
+    const result = await client.check({ port: await freePort(), localPort: await freePort(), protocol: 'TCP' })
+    assert.strictEqual(result.reachable, false)
+  }),
+
+  'reports a UDP port that never receives the token': () => withReflector(async (client) => {
+    const result = await client.check({ port: await freePort(), localPort: await freePort(), protocol: 'UDP' })
+    assert.strictEqual(result.reachable, false)
+  }),
+
+  'relies on the reflector when the TCP port is taken': () => withReflector(async (client) => {
+    const server = net.createServer((socket) => socket.destroy())
+    await new Promise((resolve) => server.listen(0, resolve))
+    const { port } = server.address()
+    try {
+      const result = await client.check({ port, protocol: 'TCP' })
+      assert.strictEqual(result.reachable, true)
+    } finally {
+      server.close()
+    }
+  }),
+
+  'rejects invalid requests': () => withReflector(async (client) => {
+    const reply = await client._request({ protocol: 'tcp', port: 70000, token: 'aa' })
+    assert.strictEqual(reply.ok, false)
+  }),
+
+  'checkPort() sets reachable on the descriptor': () => withReflector(async (client, port) => {
+    const nat = new NatAPI({ enablePMP: false, enableUPNP: false, reflector: '127.0.0.1:' + port })
+    const privatePort = await freePort()
+    const mapping = { publicPort: privatePort, privatePort, protocol: 'UDP', reachable: null }
+    const result = await nat.checkPort(mapping)
+    assert.strictEqual(result.reachable, true)
+    assert.strictEqual(mapping.reachable, true)
+    await nat.destroy()
+  })
+}
+
+run(tests)
@@ -0,0 +1,153 @@
+import assert from 'assert'
+import Scheduler from '../lib/scheduler.js'
+import { run } from './helpers.js'
+
+// Minimal fake timers, driven by tick()
+class FakeClock {
+  constructor () {
+    this.now = 0
+    this.timers = []
+    this.setTimeout = this.setTimeout.bind(this)
+    this.clearTimeout = this.clearTimeout.bind(this)
+  }
+
+  setTimeout (fn, delay) {
+    const timer = { fn, at: this.now + delay }
+    this.timers.push(timer)
+    return timer
+  }
+
+  clearTimeout (timer) {
+    this.timers = this.timers.filter((t) => t !== timer)
+  }
+
+  async tick (ms) {
+    const end = this.now + ms
+    for (;;) {
+      const due = this.timers.filter((t) => t.at <= end).sort((a, b) => a.at - b.at)[0]
+      if (!due) break
+      this.clearTimeout(due)
+      this.now = due.at
+      due.fn()
+      // Let the async renewal settle
+      await new Promise((resolve) => setImmediate(resolve))
+    }
+    this.now = end
+  }
+}
+
+const createScheduler = () => {
+  const clock = new FakeClock()
+  const scheduler = new Scheduler({ setTimeout: clock.setTimeout, clearTimeout: clock.clearTimeout })
+  return { clock, scheduler }
+}
+
+const tests = {
+  'renews at half of the granted lifetime': async () => {
+    const { clock, scheduler } = createScheduler()
+    const calls = []
+    scheduler.schedule('a', 120, async () => {
+      calls.push(clock.now)
+      return 120
+    })
+
+    await clock.tick(59999)
+    assert.deepStrictEqual(calls, [])
+    await clock.tick(1)
+    assert.deepStrictEqual(calls, [60000])
+    await clock.tick(60000)
+    assert.deepStrictEqual(calls, [60000, 120000])
+  },
+
+  'follows the lifetime granted by each renewal': async () => {
+    const { clock, scheduler } = createScheduler()
+    const calls = []
+    scheduler.schedule('a', 120, async () => {
+      calls.push(clock.now)
+      return 20
+    })
+
+    await clock.tick(80000)
+    assert.deepStrictEqual(calls, [60000, 70000, 80000])
+  },
+
+  'never stacks timers for the same key': async () => {
+    const { clock, scheduler } = createScheduler()
+    let calls = 0
+    const renew = async () => {
+      calls++
+      return 100
+    }
+    scheduler.schedule('a', 100, renew)
+    scheduler.schedule('a', 100, renew)
+    scheduler.schedule('a', 100, renew)
+
+    assert.strictEqual(clock.timers.length, 1)
+    await clock.tick(50000)
+    assert.strictEqual(calls, 1)
+    assert.strictEqual(clock.timers.length, 1)
+  },
+
+  'retries failed renewals with backoff': async () => {
+    const { clock, scheduler } = createScheduler()
+    const calls = []
+    let fail = 3
+    scheduler.schedule('a', 100, async () => {
+      calls.push(clock.now)
+      if (fail-- > 0) throw new Error('timeout')
+      return 100
+    })
+
+    await clock.tick(50000 + 5000 + 10000 + 20000)
+    assert.deepStrictEqual(calls, [50000, 55000, 65000, 85000])
+
+    // Back on the lease schedule after a success
+    await clock.tick(50000)
+    assert.deepStrictEqual(calls, [50000, 55000, 65000, 85000, 135000])
+  },
+
+  'caps the retry delay': async () => {
+    const { clock, scheduler } = createScheduler()
+    const calls = []
+    scheduler.schedule('a', 2, async () => {
+      calls.push(clock.now)
+      return false
+    })
+
+    await clock.tick(1000 + 5000 + 10000 + 20000 + 40000 + 80000 + 160000 + 300000 + 300000)
+    const delays = calls.slice(1).map((at, i) => at - calls[i])
+    assert.deepStrictEqual(delays, [5000, 10000, 20000, 40000, 80000, 160000, 300000, 300000])
+  },
+
+  'cancel stops renewals, even while renewing': async () => {
+    const { clock, scheduler } = createScheduler()
+    let calls = 0
+    scheduler.schedule('a', 100, async () => {
+      calls++
+      scheduler.cancel('a')
+      return 100
+    })
+
+    await clock.tick(200000)
+    assert.strictEqual(calls, 1)
+    assert.strictEqual(scheduler.has('a'), false)
+    assert.strictEqual(clock.timers.length, 0)
+  },
+
+  'does not renew permanent leases': async () => {
+    const { clock, scheduler } = createScheduler()
+    scheduler.schedule('a', 0, async () => assert.fail('renewed a permanent lease'))
+    assert.strictEqual(scheduler.has('a'), false)
+    assert.strictEqual(clock.timers.length, 0)
+  },
+
+  'clear cancels every key': async () => {
+    const { clock, scheduler } = createScheduler()
+    scheduler.schedule('a', 100, async () => 100)
+    scheduler.schedule('b', 100, async () => 100)
+    scheduler.clear()
+    assert.strictEqual(clock.timers.length, 0)
+  }
+}
+
+run(tests)
@@ -0,0 +1,170 @@
+import assert from 'assert'
+import dgram from 'dgram'
+import NatAPI from '../index.js'
+import { StunClient, encodeMessage, decodeMessage, encodeAddress } from '../lib/stun.js'
+import { run } from './helpers.js'
+
+const PRIMARY = '127.0.0.1'
+const ALTERNATE = '127.0.0.2'
+const EXTERNAL = '203.0.113.7'
+
+const bind = (address, port = 0) => {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4')
+    socket.once('error', reject)
+    socket.bind(port, address, () => {
+      socket.removeListener('error', reject)
+      resolve(socket)
+    })
+  })
+}
+
+/**
+ * RFC 5780 server stand-in, listening on two addresses and two ports. It
+ * plays the NAT too: `mapping` decides the address it reports, `filtering`
+ * which answers get dropped on the way back, depending on the server
+ * addresses and ports the client socket sent to.
+ * Without `nat` it reports the real source address. With `alternate` false
+ * it leaves OTHER-ADDRESS out, like a plain RFC 5389 server.
+ */
+
+const withServer = async (opts, fn) => {
+  const primary = await bind(PRIMARY)
+  const secondary = await bind(PRIMARY)
+  const port1 = primary.address().port
+  const port2 = secondary.address().port
+  const sockets = [primary, secondary, await bind(ALTERNATE, port1), await bind(ALTERNATE, port2)]
+
+  const find = (address, port) => sockets.find((socket) => {
+    const bound = socket.address()
+    return bound.address === address && bound.port === port
+  })
+
+  const mapped = (rinfo, local) => {
+    if (!opts.nat) return rinfo
+    const addressIndex = local.address === PRIMARY ? 0 : 1
+    const portIndex = local.port === port1 ? 0 : 1
+    if (opts.mapping === 'address-dependent') return { address: EXTERNAL, port: 40000 + addressIndex }
+    if (opts.mapping === 'address-and-port-dependent') return { address: EXTERNAL, port: 40000 + addressIndex * 2 + portIndex }
+    return { address: EXTERNAL, port: 40000 }
+  }
+
+  // Server addresses each client socket sent to, by client port
+  const contacted = new Map()
+  const delivered = (from, rinfo) => {
+    if (!opts.nat || opts.filtering === 'endpoint-independent') return true
+    const sent = contacted.get(rinfo.port)
+    if (opts.filtering === 'address-dependent') return [...sent].some((to) => to.startsWith(from.address + ':'))
+    return sent.has(from.address + ':' + from.port)
+  }
+
+  for (const socket of sockets) {
+    socket.on('message', (msg, rinfo) => {
+      const request = decodeMessage(msg)
+      if (!request || request.type !== 0x0001) return
+
+      const change = request.attributes.get(0x0003)
+      const flags = change ? change.readUInt32BE(0) : 0
+      const local = socket.address()
+      if (!contacted.has(rinfo.port)) contacted.set(rinfo.port, new Set())
+      contacted.get(rinfo.port).add(local.address + ':' + local.port)
+
+      const from = find(
+        flags & 0x04 ? (local.address === PRIMARY ? ALTERNATE : PRIMARY) : local.address,
+        flags & 0x02 ? (local.port === port1 ? port2 : port1) : local.port
+      )
+      if (!delivered(from.address(), rinfo)) return
+
+      const address = mapped(rinfo, local)
+      const attributes = [[0x0020, encodeAddress(address.address, address.port, true)]]
+      if (opts.alternate !== false) {
+        attributes.push([0x802C, encodeAddress(local.address === PRIMARY ? ALTERNATE : PRIMARY, local.port === port1 ? port2 : port1)])
+      }
+      from.send(encodeMessage(0x0101, request.transactionId, attributes), rinfo.port, rinfo.address)
+    })
+  }
+
+  try {
+    await fn(new StunClient({ host: PRIMARY, port: port1 }, { initialTimeout: 50, maxAttempts: 2 }))
+  } finally {
+    for (const socket of sockets) socket.close()
+  }
+}
+
+const tests = {
+  'reads the server-reflexive address': () => withServer({ nat: true }, async (client) => {
+    assert.deepStrictEqual(await client.mappedAddress(), { address: EXTERNAL, port: 40000 })
+  }),
+
+  'detects the absence of NAT': () => withServer({}, async (client) => {
+    const result = await client.natType()
+    assert.strictEqual(result.natted, false)
+    assert.strictEqual(result.address, PRIMARY)
+    assert.strictEqual(result.mapping, 'endpoint-independent')
+    assert.strictEqual(result.filtering, 'endpoint-independent')
+  }),
+
+  'classifies endpoint-independent mapping and filtering': () => withServer({
+    nat: true, mapping: 'endpoint-independent', filtering: 'endpoint-independent'
+  }, async (client) => {
+    const result = await client.natType()
+    assert.deepStrictEqual(result, {
+      address: EXTERNAL,
+      port: 40000,
+      natted: true,
+      mapping: 'endpoint-independent',
+      filtering: 'endpoint-independent'
+    })
+  }),
+
+  'classifies address-dependent mapping and filtering': () => withServer({
+    nat: true, mapping: 'address-dependent', filtering: 'address-dependent'
+  }, async (client) => {
+    const result = await client.natType()
+    assert.strictEqual(result.mapping, 'address-dependent')
+    assert.strictEqual(result.filtering, 'address-dependent')
+  }),
+
+  'classifies endpoint-independent mapping with address-dependent filtering': () => withServer({
+    nat: true, mapping: 'endpoint-independent', filtering: 'address-dependent'
+  }, async (client) => {
+    const result = await client.natType()
+    assert.strictEqual(result.mapping, 'endpoint-independent')
+    assert.strictEqual(result.filtering, 'address-dependent')
+  }),
+
+  'classifies address-and-port-dependent mapping and filtering': () => withServer({
+    nat: true, mapping: 'address-and-port-dependent', filtering: 'address-and-port-dependent'
+  }, async (client) => {
+    const result = await client.natType()
+    assert.strictEqual(result.mapping, 'address-and-port-dependent')
+    assert.strictEqual(result.filtering, 'address-and-port-dependent')
+  }),
+
+  'reports unknown behavior without an alternate address': () => withServer({ nat: true, alternate: false }, async (client) => {
+    const result = await client.natType()
+    assert.strictEqual(result.natted, true)
+    assert.strictEqual(result.mapping, 'unknown')
+    assert.strictEqual(result.filtering, 'unknown')
+  }),
+
+  'rejects when the server does not answer': async () => {
+    const socket = await bind(PRIMARY)
+    const { port } = socket.address()
+    const client = new StunClient(PRIMARY + ':' + port, { initialTimeout: 20, maxAttempts: 2 })
+    try {
+      await assert.rejects(client.mappedAddress(), { code: 'ETIMEDOUT', protocol: 'stun' })
+    } finally {
+      socket.close()
+    }
+  },
+
+  'externalIp() falls back to STUN': () => withServer({ nat: true }, async (client) => {
+    const nat = new NatAPI({ enablePMP: false, enableUPNP: false, stun: client })
+    assert.strictEqual(await nat.externalIp(), EXTERNAL)
+    assert.strictEqual((await nat.natType()).mapping, 'endpoint-independent')
+    await nat.destroy()
+  })
+}
+
+run(tests)
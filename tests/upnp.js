@@ -0,0 +1,568 @@
+import assert from 'assert'
+import NatAPI from '../index.js'
+import NatUPNP from '../lib/upnp/index.js'
+import Device from '../lib/upnp/device.js'
+import { errorFromCode } from '../lib/errors.js'
+import { run } from './helpers.js'
+
+const GATEWAY = 'urn:schemas-upnp-org:device:InternetGatewayDevice:1'
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Resolves once a search listens for answers, next to the client's own listener
+const searching = async (client) => {
+  while (client.ssdp.listenerCount('_device') < 2) await delay(10)
+}
+
+// NOTIFY headers as parsed by Ssdp
+const notify = (nts, opts = {}) => ({
+  nt: GATEWAY,
+  nts,
+  usn: 'uuid:' + (opts.uuid || 'gateway') + '::' + GATEWAY,
+  location: nts === 'ssdp:byebye' ? undefined : (opts.location || 'http://192.0.2.1:5000/rootDesc.xml'),
+  maxAge: nts === 'ssdp:alive' ? 1800 : null,
+  bootId: opts.bootId != null ? opts.bootId : null,
+  nextBootId: null
+})
+
+// Emits the notifies on `client.ssdp`, returns the events they caused
+const announce = (client, notifies) => {
+  const events = []
+  client.on('reset', () => events.push('reset'))
+  client.on('lost', () => events.push('lost'))
+  for (const info of notifies) client.ssdp.emit('notify', info, { address: '192.0.2.1' })
+  return events
+}
+
+// Root description of a WANIPConnection:1 gateway, as Device parses it
+const DESCRIPTION = {
+  device: {
+    deviceType: GATEWAY,
+    serviceList: {
+      service: {
+        serviceType: 'urn:schemas-upnp-org:service:WANIPConnection:1',
+        controlURL: '/ctl/IPConn',
+        SCPDURL: '/WANIPCn.xml'
+      }
+    }
+  }
+}
+
+// Makes SSDP searches of `client` find the gateway at `stats.location`
+// after `delay` ms, counting the searches and description fetches. The
+// fetches fail while `stats.failing` is set.
+const discovering = (client, delay = 0) => {
+  const stats = { location: 'http://192.0.2.1:5000/rootDesc.xml', searches: 0, fetches: 0, failing: false }
+  client.ssdp.search = async () => {
+    stats.searches++
+    await new Promise((resolve) => setTimeout(resolve, delay))
+
+    const device = new Device({ url: stats.location })
+    device._getXml = async () => {
+      stats.fetches++
+      if (stats.failing) throw new Error('connect ECONNREFUSED')
+      return DESCRIPTION
+    }
+    return { device, address: '192.0.2.10' }
+  }
+  return stats
+}
+
+// Stands in for the gateway's WANIPv6FirewallControl service, records the
+// actions run and answers them with `handler` (rejects when it throws)
+const firewall = (client, handler = () => ({})) => {
+  const calls = []
+  const gateway = {
+    url: 'http://192.0.2.1:5000/rootDesc.xml',
+    firewallServices: ['urn:schemas-upnp-org:service:WANIPv6FirewallControl:1'],
+    run: async (action, args) => {
+      calls.push([action, Object.fromEntries(args)])
+      return handler(action, args, calls)
+    }
+  }
+  client.findFirewall = async () => ({ gateway })
+  return calls
+}
+
+// Stands in for the gateway's WANIPConnection service of `version`, like
+// firewall()
+const igd = (client, handler, version = 1) => {
+  const calls = []
+  const gateway = {
+    url: 'http://192.0.2.1:5000/rootDesc.xml',
+    serviceType: async () => 'urn:schemas-upnp-org:service:WANIPConnection:' + version,
+    run: async (action, args) => {
+      calls.push([action, Object.fromEntries(args)])
+      if (action === 'GetExternalIPAddress') return { 'u:GetExternalIPAddressResponse': { NewExternalIPAddress: '203.0.113.1' } }
+      return handler(action, Object.fromEntries(args), calls)
+    }
+  }
+  client.findGateway = async () => ({ gateway, address: '192.0.2.10' })
+  return calls
+}
+
+// What the device reports for a UPnP error code
+const upnpError = (code) => errorFromCode('UPnP error ' + code, { protocol: 'upnp', gateway: '192.0.2.1', code })
+
+// Ports of the AddPortMapping requests in `calls`
+const added = (calls) => calls
+  .filter(([action]) => action === 'AddPortMapping')
+  .map(([, args]) => [args.NewExternalPort, args.NewInternalPort])
+
+// GetListOfPortMappings answer listing TCP `ports`, the first one forwarded
+// to this host
+const portListing = (...ports) => ({
+  'u:GetListOfPortMappingsResponse': {
+    NewPortListing: '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<p:PortMappingList xmlns:p="urn:schemas-upnp-org:gw:WANIPConnection">' +
+      ports.map((port, i) => '<p:PortMappingEntry>' +
+        '<p:NewRemoteHost></p:NewRemoteHost>' +
+        '<p:NewExternalPort>' + port + '</p:NewExternalPort>' +
+        '<p:NewProtocol>TCP</p:NewProtocol>' +
+        '<p:NewInternalPort>' + port + '</p:NewInternalPort>' +
+        '<p:NewInternalClient>192.0.2.' + (i ? 20 : 10) + '</p:NewInternalClient>' +
+        '<p:NewEnabled>1</p:NewEnabled>' +
+        '<p:NewDescription>app ' + port + '</p:NewDescription>' +
+        '<p:NewLeaseTime>3600</p:NewLeaseTime>' +
+        '</p:PortMappingEntry>').join('') +
+      '</p:PortMappingList>'
+  }
+})
+
+// getMappings() entry for a port of portListing()
+const listedMapping = (port, local) => ({
+  public: { host: '', port },
+  private: { host: local ? '192.0.2.10' : '192.0.2.20', port },
+  protocol: 'tcp',
+  enabled: true,
+  description: 'app ' + port,
+  ttl: 3600,
+  local
+})
+
+// Grants AddPinhole with increasing UniqueIDs
+const addPinhole = (action, args, calls) => {
+  if (action !== 'AddPinhole') return {}
+  return { 'u:AddPinholeResponse': { UniqueID: String(calls.length) } }
+}
+
+const tests = {
+  'findGateway(host) ignores answers without a location': async () => {
+    const client = new NatUPNP()
+    try {
+      const search = client.findGateway('192.0.2.1')
+      await searching(client)
+
+      client.ssdp.emit('_device', { st: GATEWAY, usn: 'uuid:a::' + GATEWAY }, '192.0.2.10')
+      client.ssdp.emit('_device', { st: GATEWAY, location: 'http://192.0.2.1:5000/rootDesc.xml' }, '192.0.2.10')
+
+      const { gateway, address } = await search
+      assert.strictEqual(gateway.url, 'http://192.0.2.1:5000/rootDesc.xml')
+      assert.strictEqual(address, '192.0.2.10')
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'findGateway(host) falls back to the only gateway': async () => {
+    const client = new NatUPNP()
+    client.timeout = 100
+    try {
+      const search = client.findGateway('192.0.2.1')
+      await searching(client)
+      client.ssdp.emit('_device', { st: GATEWAY, location: 'http://192.0.2.50:5000/rootDesc.xml' }, '192.0.2.10')
+
+      const { gateway } = await search
+      assert.strictEqual(gateway.url, 'http://192.0.2.50:5000/rootDesc.xml')
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'findGateway(host) does not guess among several gateways': async () => {
+    const client = new NatUPNP()
+    client.timeout = 100
+    try {
+      const search = client.findGateway('192.0.2.1')
+      await searching(client)
+      client.ssdp.emit('_device', { st: GATEWAY, location: 'http://192.0.2.50:5000/rootDesc.xml' }, '192.0.2.10')
+      client.ssdp.emit('_device', { st: GATEWAY, location: 'http://192.0.2.51:5000/rootDesc.xml' }, '192.0.2.10')
+
+      await assert.rejects(search, { code: 'ENOTFOUND' })
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'repeated alive announcements are no restart': async () => {
+    const client = new NatUPNP()
+    try {
+      const events = announce(client, [
+        notify('ssdp:alive', { bootId: 1 }),
+        notify('ssdp:alive', { bootId: 1 })
+      ])
+      assert.deepStrictEqual(events, [])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'alive with a new BOOTID is a restart': async () => {
+    const client = new NatUPNP()
+    try {
+      const events = announce(client, [
+        notify('ssdp:alive', { bootId: 1 }),
+        notify('ssdp:alive', { bootId: 2 })
+      ])
+      assert.deepStrictEqual(events, ['reset'])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'alive after byebye is a restart': async () => {
+    const client = new NatUPNP()
+    try {
+      const events = announce(client, [
+        notify('ssdp:alive', { bootId: 1 }),
+        notify('ssdp:byebye'),
+        notify('ssdp:alive', { bootId: 2 })
+      ])
+      assert.deepStrictEqual(events, ['lost', 'reset'])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'a new device at a departed gateway address is a restart': async () => {
+    const client = new NatUPNP()
+    try {
+      const events = announce(client, [
+        notify('ssdp:alive', { uuid: 'old' }),
+        notify('ssdp:byebye', { uuid: 'old' }),
+        notify('ssdp:alive', { uuid: 'new' })
+      ])
+      assert.deepStrictEqual(events, ['lost', 'reset'])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'encodes pinhole actions': async () => {
+    const client = new NatUPNP()
+    const calls = firewall(client, addPinhole)
+    try {
+      const lease = await client.addPinhole({ port: 4000, protocol: 'tcp', internalClient: '2001:db8::2', ttl: 100000 })
+      assert.deepStrictEqual(lease, { id: '1', ttl: 86400, gateway: '192.0.2.1' })
+      await client.addPinhole({ port: 4000, protocol: 'UDP', internalClient: '2001:db8::2', remoteHost: '2001:db8::9', remotePort: 5000, ttl: 0.5 })
+      assert.deepStrictEqual(await client.updatePinhole({ id: '1', ttl: 90000 }), { id: '1', ttl: 86400 })
+      await client.deletePinhole({ id: '1' })
+
+      assert.deepStrictEqual(calls, [
+        ['AddPinhole', { RemoteHost: '', RemotePort: 0, InternalClient: '2001:db8::2', InternalPort: 4000, Protocol: 6, LeaseTime: 86400 }],
+        ['AddPinhole', { RemoteHost: '2001:db8::9', RemotePort: 5000, InternalClient: '2001:db8::2', InternalPort: 4000, Protocol: 17, LeaseTime: 1 }],
+        ['UpdatePinhole', { UniqueID: '1', NewLeaseTime: 86400 }],
+        ['DeletePinhole', { UniqueID: '1' }]
+      ])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'a failed TCP pinhole closes its UDP pair': async () => {
+    const nat = new NatAPI({ enablePMP: false, autoUpdate: false })
+    const calls = firewall(nat._upnpClient, (action, args, calls) => {
+      if (action === 'AddPinhole' && args[4][1] === 6) throw new Error('UPnP error 606')
+      return addPinhole(action, args, calls)
+    })
+    try {
+      assert.strictEqual(await nat.openPinhole({ port: 4000, internalClient: '2001:db8::2' }), false)
+      assert.deepStrictEqual(calls.map(([action]) => action), ['AddPinhole', 'AddPinhole', 'DeletePinhole'])
+      assert.deepStrictEqual(calls[2][1], { UniqueID: '1' })
+      assert.deepStrictEqual(nat._pinholes, [])
+    } finally {
+      await nat.destroy()
+    }
+  },
+
+  'refreshing a pinhole renews its lease': async () => {
+    const nat = new NatAPI({ enablePMP: false, autoUpdate: false })
+    let failing = false
+    const calls = firewall(nat._upnpClient, (action, args, calls) => {
+      if (failing) throw new Error('UPnP error 501')
+      return addPinhole(action, args, calls)
+    })
+    try {
+      const pinhole = await nat.openPinhole({ port: 4000, protocol: 'UDP', internalClient: '2001:db8::2', ttl: 3600 })
+      assert.strictEqual(await nat._refreshPinhole(pinhole), 3600)
+      assert.deepStrictEqual(calls[1], ['UpdatePinhole', { UniqueID: '1', NewLeaseTime: 3600 }])
+      assert.ok(pinhole.expiresAt > Date.now() + 3500 * 1000)
+
+      // Dropped once its lease ran out without a renewal
+      failing = true
+      assert.strictEqual(await nat._refreshPinhole(pinhole), false)
+      assert.deepStrictEqual(nat._pinholes, [pinhole])
+      pinhole.expiresAt = Date.now()
+      assert.strictEqual(await nat._refreshPinhole(pinhole), false)
+      assert.deepStrictEqual(nat._pinholes, [])
+    } finally {
+      await nat.destroy()
+    }
+  },
+
+  'a gateway requiring matching ports gets them from then on': async () => {
+    const nat = new NatAPI({ enablePMP: false, autoUpdate: false })
+    const calls = igd(nat._upnpClient, (action, args) => {
+      if (action === 'AddPortMapping' && args.NewExternalPort !== args.NewInternalPort) throw upnpError(724)
+      return {}
+    })
+    try {
+      const mapping = await nat.map({ publicPort: 8000, privatePort: 7000, protocol: 'TCP' })
+      assert.strictEqual(mapping.publicPort, 7000)
+      assert.strictEqual(mapping.samePortRequired, true)
+      assert.deepStrictEqual(added(calls), [[8000, 7000], [7000, 7000]])
+
+      // Straight to matching ports on the second mapping
+      calls.length = 0
+      const second = await nat.map({ publicPort: 8001, privatePort: 7001, protocol: 'TCP' })
+      assert.strictEqual(second.publicPort, 7001)
+      assert.strictEqual(second.samePortRequired, true)
+      assert.deepStrictEqual(added(calls), [[7001, 7001]])
+    } finally {
+      await nat.destroy()
+    }
+  },
+
+  'fails when the matching ports cannot be mapped either': async () => {
+    const nat = new NatAPI({ enablePMP: false, autoUpdate: false, rejectOnFailure: true })
+    const calls = igd(nat._upnpClient, (action, args) => {
+      throw upnpError(args.NewExternalPort !== args.NewInternalPort ? 724 : 718)
+    })
+    try {
+      const err = await nat.map({ publicPort: 8000, privatePort: 7000, protocol: 'TCP' }).catch((err) => err)
+      assert.strictEqual(err.name, 'MappingFailedError')
+      assert.strictEqual(err.errors[0].name, 'SamePortRequiredError')
+      assert.match(err.errors[0].message, /port 7000 could not be mapped: UPnP error 718/)
+      assert.deepStrictEqual(added(calls), [[8000, 7000], [7000, 7000]])
+    } finally {
+      await nat.destroy()
+    }
+  },
+
+  'matching ports refused with 724 are not retried': async () => {
+    const nat = new NatAPI({ enablePMP: false, autoUpdate: false, rejectOnFailure: true })
+    const calls = igd(nat._upnpClient, () => { throw upnpError(724) })
+    try {
+      await assert.rejects(nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' }), (err) => {
+        return err.errors[0].name === 'SamePortRequiredError' && err.errors[0].code === 724
+      })
+      assert.deepStrictEqual(added(calls), [[7000, 7000]])
+    } finally {
+      await nat.destroy()
+    }
+  },
+
+  'reads the IGDv2 port listing': async () => {
+    const client = new NatUPNP()
+    const calls = igd(client, (action, args) => {
+      // No UDP mapping in the range
+      if (args.NewProtocol === 'UDP') throw upnpError(730)
+      return portListing(7000, 7001)
+    }, 2)
+    try {
+      assert.deepStrictEqual(await client.getMappings(), [listedMapping(7000, true), listedMapping(7001, false)])
+      assert.deepStrictEqual(calls[0], ['GetListOfPortMappings', {
+        NewStartPort: 1,
+        NewEndPort: 65535,
+        NewProtocol: 'TCP',
+        NewManage: 1,
+        NewNumberOfPorts: 0
+      }])
+      assert.deepStrictEqual(await client.getMappings({ local: true, description: 'app' }), [listedMapping(7000, true)])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'walks the table when the port listing is refused': async () => {
+    const client = new NatUPNP()
+    const calls = igd(client, (action, args) => {
+      if (action === 'GetListOfPortMappings') throw upnpError(606)
+      if (args.NewPortMappingIndex > 0) throw upnpError(713)
+      return {
+        'u:GetGenericPortMappingEntryResponse': {
+          NewRemoteHost: '',
+          NewExternalPort: '7000',
+          NewProtocol: 'TCP',
+          NewInternalPort: '7000',
+          NewInternalClient: '192.0.2.10',
+          NewEnabled: '1',
+          NewPortMappingDescription: 'app 7000',
+          NewLeaseDuration: '3600'
+        }
+      }
+    }, 2)
+    try {
+      assert.deepStrictEqual(await client.getMappings(), [listedMapping(7000, true)])
+      assert.deepStrictEqual(calls.map(([action]) => action), ['GetListOfPortMappings', 'GetGenericPortMappingEntry', 'GetGenericPortMappingEntry'])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'listMappings() marks the mappings this client owns': async () => {
+    const nat = new NatAPI({ enablePMP: false, autoUpdate: false })
+    igd(nat._upnpClient, (action, args) => {
+      if (action === 'AddAnyPortMapping') return { 'u:AddAnyPortMappingResponse': { NewReservedPort: String(args.NewExternalPort) } }
+      if (action === 'GetListOfPortMappings') return args.NewProtocol === 'TCP' ? portListing(7000, 7001) : portListing()
+      return {}
+    }, 2)
+    try {
+      await nat.map({ publicPort: 7000, privatePort: 7000, protocol: 'TCP' })
+      const mappings = await nat.listMappings()
+      assert.deepStrictEqual(mappings.map((mapping) => [mapping.publicPort, mapping.local, mapping.owned]), [[7000, true, true], [7001, false, false]])
+      assert.strictEqual(mappings[0].description, 'app 7000')
+      assert.strictEqual(mappings[0].remoteHost, null)
+    } finally {
+      await nat.destroy()
+    }
+  },
+
+  'reuses a discovered gateway until the cache TTL runs out': async () => {
+    const client = new NatUPNP({ cacheTtl: 50 })
+    const stats = discovering(client)
+    try {
+      const { gateway } = await client.findGateway()
+      await gateway.serviceType()
+      assert.strictEqual((await client.findGateway()).gateway, gateway)
+      await gateway.serviceType()
+      assert.deepStrictEqual([stats.searches, stats.fetches], [1, 1])
+
+      await delay(60)
+      assert.notStrictEqual((await client.findGateway()).gateway, gateway)
+      assert.strictEqual(stats.searches, 2)
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'concurrent requests share one search': async () => {
+    const client = new NatUPNP()
+    const stats = discovering(client, 20)
+    try {
+      const [first, second] = await Promise.all([client.findGateway(), client.findGateway()])
+      assert.strictEqual(first.gateway, second.gateway)
+      assert.strictEqual(stats.searches, 1)
+
+      // Searches for another host are separate
+      await client.findGateway('192.0.2.1')
+      assert.strictEqual(stats.searches, 2)
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'a failed description fetch makes the gateway stale': async () => {
+    const client = new NatUPNP()
+    const stats = discovering(client)
+    try {
+      const { gateway } = await client.findGateway()
+      stats.failing = true
+      await assert.rejects(gateway.serviceType(), /ECONNREFUSED/)
+      assert.strictEqual(gateway.stale, true)
+
+      // Searched and fetched again
+      stats.failing = false
+      const found = await client.findGateway()
+      assert.notStrictEqual(found.gateway, gateway)
+      await found.gateway.serviceType()
+      assert.deepStrictEqual([stats.searches, stats.fetches], [2, 2])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'an answer from a new location drops the cached gateway': async () => {
+    const client = new NatUPNP()
+    const stats = discovering(client)
+    try {
+      const { gateway } = await client.findGateway()
+
+      // The same location again changes nothing
+      client.ssdp.emit('_device', { st: GATEWAY, location: stats.location }, '192.0.2.10')
+      assert.strictEqual((await client.findGateway()).gateway, gateway)
+      assert.strictEqual(stats.searches, 1)
+
+      stats.location = 'http://192.0.2.1:5001/rootDesc.xml'
+      client.ssdp.emit('_device', { st: GATEWAY, location: stats.location }, '192.0.2.10')
+      assert.strictEqual((await client.findGateway()).gateway.url, stats.location)
+      assert.strictEqual(stats.searches, 2)
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'IGDv2 maps with AddAnyPortMapping and keeps the reserved port': async () => {
+    const client = new NatUPNP()
+    const calls = igd(client, () => ({ 'u:AddAnyPortMappingResponse': { NewReservedPort: '40000' } }), 2)
+    try {
+      const lease = await client.portMapping({ public: 7000, private: 7000, protocol: 'tcp', description: 'app', ttl: 3600 })
+      assert.deepStrictEqual(lease, { public: 40000, private: 7000, protocol: 'TCP', ttl: 3600, gateway: '192.0.2.1' })
+      assert.deepStrictEqual(calls, [['AddAnyPortMapping', {
+        NewRemoteHost: undefined,
+        NewExternalPort: 7000,
+        NewProtocol: 'TCP',
+        NewInternalPort: 7000,
+        NewInternalClient: '192.0.2.10',
+        NewEnabled: 1,
+        NewPortMappingDescription: 'app',
+        NewLeaseDuration: 3600
+      }]])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'falls back to AddPortMapping when AddAnyPortMapping is not implemented': async () => {
+    for (const code of [401, 602]) {
+      const client = new NatUPNP()
+      const calls = igd(client, (action) => {
+        if (action === 'AddAnyPortMapping') throw upnpError(code)
+        return {}
+      }, 2)
+      try {
+        const lease = await client.portMapping({ public: 7000, private: 7000, protocol: 'udp', ttl: 3600 })
+        assert.strictEqual(lease.public, 7000)
+        assert.deepStrictEqual(calls.map(([action]) => action), ['AddAnyPortMapping', 'AddPortMapping'])
+        assert.deepStrictEqual(calls[1][1], calls[0][1])
+      } finally {
+        await client.destroy()
+      }
+    }
+  },
+
+  'AddAnyPortMapping errors other than unsupported are not retried': async () => {
+    const client = new NatUPNP()
+    const calls = igd(client, () => { throw upnpError(728) }, 2)
+    try {
+      await assert.rejects(client.portMapping({ public: 7000, private: 7000, ttl: 3600 }), { name: 'OutOfResourcesError', code: 728 })
+      assert.deepStrictEqual(calls.map(([action]) => action), ['AddAnyPortMapping'])
+    } finally {
+      await client.destroy()
+    }
+  },
+
+  'IGDv1 maps with AddPortMapping': async () => {
+    const client = new NatUPNP()
+    const calls = igd(client, () => ({}))
+    try {
+      const lease = await client.portMapping({ public: 7000, private: 7000, ttl: 3600 })
+      assert.strictEqual(lease.public, 7000)
+      assert.deepStrictEqual(calls.map(([action]) => action), ['AddPortMapping'])
+    } finally {
+      await client.destroy()
+    }
+  }
+}
+
+run(tests)